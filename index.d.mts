@@ -1,4 +1,9 @@
-export type CacheStrategy = "LRU" | "FIFO" | "MFU" | "RANDOM" | "CUSTOM";
+export type CacheStrategy = "LRU" | "FIFO" | "LIFO" | "LFU" | "MFU" | "ARC" | "2Q" | "TINYLFU" | "RANDOM" | "CUSTOM" | (string & {});
+
+export type EvictionScope = "allkeys" | "volatile" | "volatile-ttl";
+
+export type NamespaceMode = "isolated" | "shared";
+export type NamespaceFairness = "largest" | "self" | "round-robin";
 
 export interface AlisaCacheOptions {
   limit?: number;
@@ -9,23 +14,138 @@ export interface AlisaCacheOptions {
   overWrite?: boolean;
   strategy?: CacheStrategy;
   customEvict?: (store: Map<any, any>, meta: Map<any, number>) => void;
+  frequencyDecay?: number;
+  decayInterval?: number;
+  maxSize?: number;
+  sizeCalculation?: (value: any, key: any) => number;
+  evictionScope?: EvictionScope;
+  highWatermark?: number;
+  lowWatermark?: number;
+  namespaceMode?: NamespaceMode;
+  namespaceFairness?: NamespaceFairness;
+  preciseExpiry?: boolean;
+  staleTTL?: number;
+  loader?: ((key: any, staleValue: any) => any) | null;
+  refreshAhead?: number;
+  tagSeparator?: string;
+  clock?: Clock;
+}
+
+export interface Clock {
+  now(): number;
+  setInterval(callback: () => void, ms: number): any;
+  clearInterval(id: any): void;
+}
+
+export interface ManualClock extends Clock {
+  time: number;
+  setTimeout(callback: () => void, ms: number): number;
+  clearTimeout(id: number): void;
+  advance(ms: number): this;
+}
+
+export interface NamespaceOptions {
+  limit?: number;
+  maxSize?: number;
+  reserve?: number;
+}
+
+export interface EntryView {
+  readonly key: any;
+  readonly value: any;
+  readonly priority: number;
+  readonly tags: readonly string[];
+  readonly expiresAt: number | null;
+  readonly stale: boolean;
+  readonly protected: boolean;
+  readonly lastAccess: number;
+  readonly frequency: number;
+  readonly size: number;
+  readonly version: number;
+}
+
+export interface EvictionContext {
+  readonly now: number;
+  readonly size: number;
+  readonly limit: number;
+  readonly totalSize: number;
+  readonly maxSize: number;
+  keys(): IterableIterator<any>;
+  entries(): IterableIterator<EntryView>;
+  get(key: any): EntryView | undefined;
+  isProtected(key: any): boolean;
+}
+
+export interface EvictionStrategy {
+  onInsert?(key: any, entry: EntryView): void;
+  onAccess?(key: any, entry: EntryView): void;
+  onDelete?(key: any): void;
+  selectVictim(context: EvictionContext): any | any[] | undefined;
 }
 
 export interface SetOptions {
   ttl?: number;
   priority?: number;
   tags?: string[];
+  size?: number;
+  sliding?: boolean;
+  staleTTL?: number;
+}
+
+export interface LoadOptions extends SetOptions {
+  errorTTL?: number;
+}
+
+export interface MemoizeOptions<A extends any[]> {
+  cache?: AlisaCache;
+  namespace?: string;
+  keyResolver?: (...args: A) => any;
+  ttl?: number;
+  tags?: string[];
 }
 
+export type Memoized<A extends any[], R> = ((...args: A) => R) & {
+  cache: AlisaCache;
+  clear(): void;
+  delete(...args: A): boolean;
+};
+
+export interface Transaction {
+  watch(...keys: any[]): this;
+  get(key: any): any | undefined;
+  has(key: any): boolean;
+  set(key: any, value: any, options?: SetOptions): this;
+  delete(key: any): boolean;
+  rename(oldKey: any, newKey: any): boolean;
+  deleteByTag(tag: string): number;
+  addTags(key: any, tags: string[]): boolean;
+  removeTags(key: any, tags: string[]): boolean;
+  setTags(key: any, tags: string[]): boolean;
+}
+
+export type TagQuery = string | { all?: string[]; any?: string[]; none?: string[] };
+
 export interface EmitPayloads {
-  get: { key: any; hit: boolean; value?: any };
+  get: { key: any; hit: boolean; value?: any; stale?: boolean };
   set: { key: any; value: any; ttl?: number; tags?: string[]; priority?: number };
   delete: { key: any; success: boolean };
   has: { key: any; found: boolean };
   flush: Record<string, never>;
   prune: { removed: number };
+  expire: { key: any; value: any; tags: string[] };
+  stale: { key: any; value: any };
+  refresh: { key: any; value: any };
+  refreshError: { key: any; error: unknown };
+  update: { key: any; oldValue: any; newValue: any };
+  tag: { key: any; tags: string[] };
+  untag: { key: any; tags: string[] };
+  invalidate: { tag: string; generation: number };
+  batch: { operation: "mset" | "mget" | "mdelete" | "mhas"; keys: any[]; results: any[] };
+  load: { key: any; value: any };
+  loadError: { key: any; error: unknown };
   autoPrune: { removed: number };
   evict: { key: any };
+  evictBatch: { keys: any[] };
 }
 
 export default class AlisaCache {
@@ -40,12 +160,82 @@ export default class AlisaCache {
   size(): number;
   ttlExpire(key: any): number;
   expire(key: any): boolean;
+  touch(key: any, ttl?: number): boolean;
+  persist(key: any): boolean;
+  expireAt(key: any, date: Date | number): boolean;
   rename(oldKey: any, newKey: any): boolean;
 
+  // batch
+  mset(
+    entries: Iterable<[any, any] | [any, any, SetOptions]> | Record<string, any>,
+    options?: SetOptions
+  ): boolean[];
+  mget(keys: any[]): any[];
+  mdelete(keys: any[]): boolean[];
+  mhas(keys: any[]): boolean[];
+
+  // updates
+  update(key: any, updater: (value: any, meta: EntryView) => any): { success: boolean; value: any; version: number };
+  patch(key: any, partial: Record<string, any>, options?: { deep?: boolean }): { success: boolean; value: any; version: number };
+
+  // typed values
+  incr(key: any): number;
+  decr(key: any): number;
+  incrBy(key: any, amount: number): number;
+  lpush(key: any, ...values: any[]): number;
+  rpush(key: any, ...values: any[]): number;
+  lpop(key: any): any | undefined;
+  lrange(key: any, start?: number, stop?: number): any[];
+  sadd(key: any, ...members: any[]): number;
+  srem(key: any, ...members: any[]): number;
+  smembers(key: any): any[];
+  hset(key: any, field: string | number, value: any): number;
+  hset(key: any, fields: Record<string, any>): number;
+  hget(key: any, field: string | number): any | undefined;
+  hgetall(key: any): Record<string, any>;
+
+  // versioning
+  getMeta(key: any): EntryView | undefined;
+  compareAndSet(key: any, expectedVersion: number, value: any, options?: SetOptions): { success: boolean; version: number };
+  setIf(
+    key: any,
+    predicate: (value: any, meta: EntryView | undefined) => boolean,
+    value: any,
+    options?: SetOptions
+  ): { success: boolean; version: number };
+
+  // transactions
+  transaction<T>(fn: (tx: Transaction) => T): T;
+
+  // read-through
+  getOrSet<T = any>(key: any, loader: (key: any) => T | Promise<T>, options?: LoadOptions): Promise<T>;
+  getMany<T = any>(
+    keys: any[],
+    batchLoader: (keys: any[]) => T[] | Map<any, T> | Promise<T[] | Map<any, T>>,
+    options?: SetOptions & { batchKey?: any }
+  ): Promise<(T | undefined)[]>;
+  wrap<A extends any[], T>(
+    fn: (...args: A) => T | Promise<T>,
+    keyFn?: (...args: A) => any,
+    options?: LoadOptions & { namespace?: string }
+  ): (...args: A) => Promise<T>;
+
   // tags
   getByTag(tag: string): any[];
   deleteByTag(tag: string): number;
-  tags(): string[];
+  tags(pattern?: string): string[];
+  getTags(key: any): string[];
+  addTags(key: any, tags: string[]): boolean;
+  removeTags(key: any, tags: string[]): boolean;
+  setTags(key: any, tags: string[]): boolean;
+  renameTag(oldTag: string, newTag: string): number;
+  invalidateTag(tag: string): number;
+  expireTag(tag: string, ttl: number): number;
+  queryTags(query: TagQuery): any[];
+  getByTags(query: TagQuery): any[];
+  deleteByTags(query: TagQuery): number;
+  countByTags(query: TagQuery): number;
+  protectByTags(query: TagQuery): number;
 
   // strategy
   autoPrune(intervalMs: number): this;
@@ -77,8 +267,15 @@ export default class AlisaCache {
   clone(): AlisaCache;
 
   // namespaces
-  namespace(name: string): AlisaCache;
+  namespace(name: string, options?: NamespaceOptions): AlisaCache;
   listNamespaces(): string[];
+  namespaceUsage(): {
+    count: number;
+    size: number;
+    limit: number;
+    maxSize: number;
+    namespaces: Record<string, { count: number; size: number; reserve: number }>;
+  };
   removeNamespace(name: string): boolean;
   flushNamespaces(): void;
 
@@ -92,6 +289,10 @@ export default class AlisaCache {
     strategy: string;
     tagCount: number;
     tags: string[];
+    priority: { average: number };
+    frequency: { total: number; average: number; max: number };
+    totalSize: number;
+    maxSize: number;
   };
 
   statsExtended(): {
@@ -100,6 +301,7 @@ export default class AlisaCache {
     mostUsedTags: string[];
     ttlEnabled: number;
     tagUsage: Record<string, number>;
+    frequencyDistribution: Record<string, number>;
   };
 
   metrics(): {
@@ -111,4 +313,10 @@ export default class AlisaCache {
 
   inspect(): void;
   log(): void;
+
+  // static helpers
+  static estimateSize(value: any): number;
+  static createManualClock(start?: number): ManualClock;
+  static memoize<A extends any[], R>(fn: (...args: A) => R, options?: MemoizeOptions<A>): Memoized<A, R>;
+  static registerStrategy(name: string, definition: EvictionStrategy | (() => EvictionStrategy)): void;
 }
@@ -1,7 +1,33 @@
 // @ts-check
 "use strict";
 import CacheError from "./CacheError.mjs";
-const validStrategies = ["LRU", "FIFO", "MFU", "CUSTOM"];
+const validStrategies = ["LRU", "FIFO", "LIFO", "LFU", "MFU", "ARC", "2Q", "TINYLFU", "CUSTOM"];
+const validEvictionScopes = ["allkeys", "volatile", "volatile-ttl"];
+const validNamespaceModes = ["isolated", "shared"];
+const validNamespaceFairness = ["largest", "self", "round-robin"];
+
+/**
+ * Eviction strategies registered with `AlisaCache.registerStrategy()`.
+ * @type {Map<string, EvictionStrategy | (() => EvictionStrategy)>}
+ */
+const registeredStrategies = new Map();
+
+/**
+ * Number of tag members an eviction looks at while searching for an entry invalidated through a tag.
+ * @type {number}
+ */
+const invalidatedScanSteps = 64;
+
+/**
+ * Checks used by the typed value operations (counters, lists, sets and hashes).
+ * @type {Record<string, (value: any) => boolean>}
+ */
+const valueTypes = {
+    number: value => typeof value === "number",
+    list: value => Array.isArray(value),
+    set: value => value instanceof Set,
+    hash: value => value !== null && typeof value === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+};
 import { promises } from "fs";
 
 /**
@@ -12,1114 +38,5080 @@ import { promises } from "fs";
  * @property {boolean} [updateOnHas=false] - Whether checking a key should update its position (LRU behavior).
  * @property {boolean} [cloneOnGet=false] - Whether to return a clone of the value when getting it.
  * @property {boolean} [overWrite=true] - Whether to overwrite existing keys.
- * @property {"LRU" | "FIFO" | "LIFO" | "MFU" | "RANDOM" | "CUSTOM"} [strategy="LRU"] - Cache eviction strategy.
+ * @property {"LRU" | "FIFO" | "LIFO" | "LFU" | "MFU" | "ARC" | "2Q" | "TINYLFU" | "RANDOM" | "CUSTOM" | string} [strategy="LRU"] - Cache eviction strategy, or the name of a strategy registered with `AlisaCache.registerStrategy()`.
  * @property {Function} [customEvict] - Custom eviction function when using "CUSTOM" strategy. It should return the key to evict.
+ * @property {number} [frequencyDecay=0.5] - Factor (0-1) applied to every access counter when aging runs (LFU/MFU).
+ * @property {number} [decayInterval] - Number of recorded hits between two aging passes. Defaults to `limit * 10`.
+ * @property {number} [maxSize=Infinity] - Maximum total weight of all entries (e.g. bytes).
+ * @property {(value: any, key: any) => number} [sizeCalculation] - Returns the weight of an entry. Defaults to `AlisaCache.estimateSize` when `maxSize` is set.
+ * @property {"allkeys" | "volatile" | "volatile-ttl"} [evictionScope="allkeys"] - Which keys can be evicted: all keys, only keys with a TTL, or the key closest to expiry.
+ * A write that would exceed `limit` or `maxSize` while no unprotected key in scope can be evicted throws a `CacheError`.
+ * @property {number} [highWatermark=1] - Fraction (0-1] of `limit`/`maxSize` at which eviction starts.
+ * @property {number} [lowWatermark] - Fraction [0-highWatermark) of `limit`/`maxSize` to evict down to in one batch once the high watermark is crossed. Without it only the strictly needed entries are evicted.
+ * @property {"isolated" | "shared"} [namespaceMode="isolated"] - Whether namespaces get their own capacity or share this cache's `limit`/`maxSize`.
+ * @property {"largest" | "self" | "round-robin"} [namespaceFairness="largest"] - In shared mode, which cache gives up an entry when the shared budget is exceeded:
+ * the one using the most above its reservation, the writer itself (falling back to "largest"), or each one in turn.
+ * @property {boolean} [preciseExpiry=false] - Remove entries with a TTL at their deadline using a timer instead of lazily on access or `prune()`.
+ * @property {number} [staleTTL=0] - Milliseconds after the TTL during which `get()` still serves the old value (flagged as stale) while it is refreshed.
+ * @property {(key: any, staleValue: any) => any} [loader] - Loads a fresh value for a key, used to refresh stale entries in the background.
+ * @property {number} [refreshAhead=0] - Fraction (0-1) of the TTL after which a `get()` hit reloads the key through `loader` before it expires. `0` disables it.
+ * @property {string} [tagSeparator=":"] - Separates the levels of hierarchical tags. A `*` level in `getByTag`, `deleteByTag`, `tags` and tag queries
+ * matches any single level, a trailing `*` matches every descendant (`"guild:123:*"`).
+ * @property {Clock} [clock] - Time source and timers used for TTLs, `autoPrune` and `preciseExpiry`. Defaults to the system clock.
  */
 
 /**
- * Represents a high-performance, multi-strategy cache system.
+ * @typedef {Object} Clock
+ * @property {() => number} now - Current time in milliseconds
+ * @property {(callback: () => void, ms: number) => any} setInterval
+ * @property {(id: any) => void} clearInterval
  */
-class AlisaCache {
-    // #region Properties
-    /**
-     * @param {AlisaCacheOptions} [options={}]
-     */
-    constructor(options = {}) {
-        const {
-            limit = 100,
-            ttl,
-            updateOnGet = false,
-            updateOnHas = false,
-            cloneOnGet = false,
-            overWrite = true,
-            strategy = "LRU",
-            customEvict = null
-        } = options;
-
-        if (typeof limit !== "number" || limit <= 0) {
-            throw new CacheError("`limit` must be a positive number.");
-        }
 
-        if (!validStrategies.includes(strategy)) {
-            throw new CacheError(`Invalid strategy "${strategy}". Must be one of: ${validStrategies.join(", ")}`);
-        }
+/**
+ * @typedef {Object} NamespaceOptions
+ * @property {number} [limit] - Entry quota of the namespace. Defaults to the parent's `limit`.
+ * @property {number} [maxSize] - Weight quota of the namespace. Defaults to the parent's `maxSize`.
+ * @property {number} [reserve=0] - Fraction (0-1) of the shared budget guaranteed to the namespace: other caches cannot evict its entries below it.
+ */
 
-        if (strategy === "CUSTOM" && typeof customEvict !== "function") {
-            throw new CacheError("When using CUSTOM strategy, `customEvict` must be a function.");
-        }
+/**
+ * Read-only metadata of a cache entry, given to registered eviction strategies.
+ * @typedef {Object} EntryView
+ * @property {any} key
+ * @property {any} value
+ * @property {number} priority
+ * @property {string[]} tags
+ * @property {number | null} expiresAt - Expiration timestamp, or null without TTL
+ * @property {boolean} stale - Whether the TTL passed and the value is only served inside its stale window
+ * @property {boolean} protected
+ * @property {number} lastAccess - Last access timestamp
+ * @property {number} frequency - Access counter
+ * @property {number} size - Entry weight (0 when sizes are not tracked)
+ * @property {number} version - Increases on every write of the key, never reused within a cache
+ */
 
-        this.limit = limit; // Maximum number of items the cache can store
-        this.ttl = ttl; // Time to live in milliseconds (not used in this version)
-        this.updateOnGet = updateOnGet; // Whether accessing a key should update its position (LRU behavior)
-        this.updateOnHas = updateOnHas; // Whether checking a key should update its position (LRU behavior)
-        this.cloneOnGet = cloneOnGet; // Whether to return a clone of the value when getting it
-        this.overWrite = overWrite; // Whether to overwrite existing keys
-        this.strategy = strategy; // Cache eviction strategy
-        this.customEvict = customEvict; // Custom eviction function when using "CUSTOM" strategy. It should return the key to evict.
+/**
+ * Read-only view of the cache given to `selectVictim()`.
+ * @typedef {Object} EvictionContext
+ * @property {number} now - Current timestamp
+ * @property {number} size - Number of entries
+ * @property {number} limit
+ * @property {number} totalSize
+ * @property {number} maxSize
+ * @property {() => IterableIterator<any>} keys
+ * @property {() => Generator<EntryView>} entries
+ * @property {(key: any) => EntryView | undefined} get
+ * @property {(key: any) => boolean} isProtected
+ */
 
-        this.hits = 0; // Cache hits
-        this.misses = 0; // Cache misses
-        this.evictions = 0; // Cache evictions
+/**
+ * Pluggable eviction strategy. Only `selectVictim` is required; it may return one key, an array
+ * of keys or nothing. Protected and unknown keys it returns are ignored.
+ * @typedef {Object} EvictionStrategy
+ * @property {(key: any, entry: EntryView) => void} [onInsert] - Called after a key is written
+ * @property {(key: any, entry: EntryView) => void} [onAccess] - Called after a `get`/`has` hit
+ * @property {(key: any) => void} [onDelete] - Called after a key is removed for any reason
+ * @property {(context: EvictionContext) => any} selectVictim
+ */
 
-        /**
-         * Internal auto prune timer ID.
-         * @type {any}
-         * @private
-         */
-        this._autoPruneIntervalId = null;
+// #region Eviction Structures
+/**
+ * @typedef {Object} ListNode
+ * @property {any} key
+ * @property {ListNode | null} prev
+ * @property {ListNode | null} next
+ */
 
-        /**
-         * @type {Map<any, any>}
-         * @private
-         */
-        this.store = new Map(); // key -> value
+/**
+ * @typedef {Object} HeapNode
+ * @property {any} key
+ * @property {number} seq - Touch order, used as the tie-breaker between equal frequencies
+ * @property {number} index - Current position inside the heap array
+ */
 
-        /**
-         * @type {Map<any, number>}
-         * @private
-         */
-        this.meta = new Map(); // key -> last accessed timestamp
+/**
+ * Intrusive doubly linked list ordered from the least to the most recently touched key.
+ * Backs the LRU, FIFO and LIFO strategies.
+ * @private
+ */
+class RecencyList {
+    constructor() {
+        /** @type {Map<any, ListNode>} */
+        this.nodes = new Map();
 
-        /**
-         * @type {Map<any, number>}
-         * @private
-         */
-        this.ttlMap = new Map(); // key -> expiration timestamp
+        /** @type {ListNode | null} */
+        this.head = null; // least recently touched
 
-        /**
-         * @type {Map<any, number>}
-         * @private
-         */
-        this.priorityMap = new Map(); // key -> priority value
+        /** @type {ListNode | null} */
+        this.tail = null; // most recently touched
+    }
 
+    get size() {
+        return this.nodes.size;
+    }
 
-        /**
-         * Map of tags to sets of keys.
-         * @type {Map<string, Set<any>>}
-         * @private
-         */
-        this.tagMap = new Map();
+    /**
+     * Moves the key to the most recent end, inserting it if needed.
+     * @param {any} key
+     * @returns {void}
+     */
+    touch(key) {
+        let node = this.nodes.get(key);
+        if (node) {
+            this._unlink(node);
+        } else {
+            node = { key, prev: null, next: null };
+            this.nodes.set(key, node);
+        }
 
-        /**
-         * Map of key to tags.
-         * @type {Map<any, Set<string>>}
-         * @private
-         */
-        this.keyTags = new Map();
+        node.prev = this.tail;
+        node.next = null;
+        if (this.tail) this.tail.next = node;
+        else this.head = node;
+        this.tail = node;
+    }
 
-        /**
-         * Internal event listener map.
-         * @type {Map<string, Set<Function>>}
-         * @private
-         */
-        this.listeners = new Map();
+    /**
+     * Ordering does not depend on access counters, nothing to do.
+     * @returns {void}
+     */
+    update() { }
 
-        /**
-         * Holds sub-cache instances for namespaced segments.
-         * @type {Map<string, AlisaCache>}
-         * @private
-         */
-        this.namespaces = new Map();
+    /**
+     * @param {any} key
+     * @returns {boolean}
+     */
+    remove(key) {
+        const node = this.nodes.get(key);
+        if (!node) return false;
 
-        /**
-         * Set of keys that cannot be deleted.
-         * @type {Set<any>}
-         * @private
-         */
-        this.protectedKeys = new Set(); // Protected keys that cannot be deleted
+        this._unlink(node);
+        this.nodes.delete(key);
+        return true;
     }
-    // #endregion
 
-    // #region Event Methods
     /**
-     * Registers a new listener for the given event.
-     * @param {string} event - Event name (e.g., "get", "set", "delete", "has")
-     * @param {(payload: any) => void} callback - Listener callback
-     * @returns {this}
-     * @example
-     * cache.on("get", ({ key, hit }) => console.log(key, hit));
+     * Re-keys a node without changing its position.
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {void}
      */
-    on(event, callback) {
-        if (typeof event !== "string") throw new CacheError("Event name must be a string.");
-        if (typeof callback !== "function") throw new CacheError("Callback must be a function.");
+    rename(oldKey, newKey) {
+        const node = this.nodes.get(oldKey);
+        if (!node) return;
 
-        if (!this.listeners.has(event)) {
-            this.listeners.set(event, new Set());
+        this.nodes.delete(oldKey);
+        node.key = newKey;
+        this.nodes.set(newKey, node);
+    }
+
+    /**
+     * Returns the first key (from the oldest or the newest end) that is not skipped.
+     * @param {boolean} fromNewest
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
+     */
+    find(fromNewest, skip) {
+        let node = fromNewest ? this.tail : this.head;
+        while (node) {
+            if (!skip(node.key)) return node;
+            node = fromNewest ? node.prev : node.next;
         }
-        this.listeners.get(event)?.add(callback);
-        return this;
+        return null;
     }
 
     /**
-     * Unregisters a listener for a given event.
-     * @param {string} event
-     * @param {(payload: any) => void} callback
-     * @returns {this}
+     * @param {ListNode} node
+     * @returns {void}
+     * @private
      */
-    off(event, callback) {
-        this.listeners.get(event)?.delete(callback);
-        return this;
+    _unlink(node) {
+        if (node.prev) node.prev.next = node.next;
+        else this.head = node.next;
+
+        if (node.next) node.next.prev = node.prev;
+        else this.tail = node.prev;
+
+        node.prev = null;
+        node.next = null;
     }
+}
 
+/**
+ * Indexed binary heap of keys. Backs the LFU and MFU strategies (ordered by access frequency)
+ * and the expiry index (ordered by expiration timestamp).
+ * @private
+ */
+class IndexedHeap {
     /**
-     * Emits an event to all registered listeners.
-     * @param {string} event
-     * @param {any} payload
+     * @param {(a: HeapNode, b: HeapNode) => number} compare - Negative when `a` should come out before `b`
+     */
+    constructor(compare) {
+        this.compare = compare;
+
+        /** @type {HeapNode[]} */
+        this.items = [];
+
+        /** @type {Map<any, HeapNode>} */
+        this.nodes = new Map();
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    /**
+     * Inserts the key or refreshes its touch order.
+     * @param {any} key
+     * @param {number} seq
      * @returns {void}
      */
-    emit(event, payload) {
-        for (const listener of this.listeners.get(event) || []) {
-            try {
-                listener(payload);
-            } catch (err) {
-                console.error(`[AlisaCache] Error in "${event}" listener:`, err);
-            }
+    touch(key, seq) {
+        const node = this.nodes.get(key);
+        if (node) {
+            node.seq = seq;
+            this._fix(node.index);
+            return;
         }
+
+        const created = { key, seq, index: this.items.length };
+        this.nodes.set(key, created);
+        this.items.push(created);
+        this._siftUp(created.index);
     }
-    // #endregion
 
-    // #region Namespace
     /**
-     * Creates or returns a namespaced AlisaCache instance.
-     * Each namespace is isolated with its own store, meta, TTL, tags, etc.
-     * @param {string} name - The namespace identifier
-     * @returns {AlisaCache|undefined}
-     * @example
-     * const guildCache = cache.namespace("guild:1234");
-     * guildCache.set("prefix", "!");
+     * Restores the heap order after the frequency of a key changed.
+     * @param {any} key
+     * @returns {void}
      */
-    namespace(name) {
-        if (typeof name !== "string" || !name.length) {
-            throw new CacheError("Namespace name must be a non-empty string.");
-        }
+    update(key) {
+        const node = this.nodes.get(key);
+        if (node) this._fix(node.index);
+    }
 
-        if (this.namespaces.has(name)) return this.namespaces.get(name);
+    /**
+     * @param {any} key
+     * @returns {boolean}
+     */
+    remove(key) {
+        const node = this.nodes.get(key);
+        if (!node) return false;
 
-        const ns = this._deepClone(); // Create a new instance of AlisaCache with the same options
+        this.nodes.delete(key);
+        this._removeAt(node.index);
+        return true;
+    }
 
-        // Event forwarding (optional, isteğe bağlı)
-        ns.on = this.on.bind(this);
-        ns.emit = this.emit.bind(this);
+    /**
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {void}
+     */
+    rename(oldKey, newKey) {
+        const node = this.nodes.get(oldKey);
+        if (!node) return;
 
-        this.namespaces.set(name, ns);
-        return ns;
+        this.nodes.delete(oldKey);
+        node.key = newKey;
+        this.nodes.set(newKey, node);
+        this._fix(node.index);
     }
 
     /**
-     * Returns a list of all defined namespace identifiers.
-     * @returns {string[]}
-     * @example
-     * cache.listNamespaces(); // ["guild:123", "guild:456"]
+     * Rebuilds the heap order, used after all frequencies were aged at once.
+     * @returns {void}
      */
-    listNamespaces() {
-        return [...this.namespaces.keys()];
+    heapify() {
+        for (let i = (this.items.length >> 1) - 1; i >= 0; i--) this._siftDown(i);
     }
 
     /**
-   * Removes a namespaced cache instance.
-   * @param {string} name - The name of the namespace to remove
-   * @returns {boolean} - Whether the namespace was removed
-   * @example
-   * cache.removeNamespace("guild:123");
-   */
-    removeNamespace(name) {
-        return this.namespaces.delete(name);
+     * @returns {void}
+     */
+    clear() {
+        this.items = [];
+        this.nodes.clear();
     }
 
     /**
-   * Flushes all namespace caches.
-   * @returns {void}
-   * @example
-   * cache.flushNamespaces();
-   */
-    flushNamespaces() {
-        for (const ns of this.namespaces.values()) {
-            ns.flush();
+     * Returns the top-most key that is not skipped. Skipped nodes are popped and pushed back.
+     * @param {boolean} _fromNewest - Unused, heaps are always read from the top
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
+     */
+    find(_fromNewest, skip) {
+        /** @type {HeapNode[]} */
+        const skipped = [];
+        let found = null;
+
+        while (this.items.length) {
+            const top = this.items[0];
+            if (!skip(top.key)) {
+                found = top;
+                break;
+            }
+            this._removeAt(0);
+            skipped.push(top);
         }
-    }
 
-    // #endregion  
+        for (const node of skipped) {
+            node.index = this.items.length;
+            this.items.push(node);
+            this._siftUp(node.index);
+        }
+        return found;
+    }
 
-    // #region General Methods
     /**
-      * Sets a value in the cache with optional TTL support.
-      * @param {any} key - Cache key.
-      * @param {any} value - Value to cache.
-      * @param {Object} [options={}]
-      * @param {number} [options.ttl] - Time to live in milliseconds.
-      * @param {number} [options.priority] - Priority level (higher = less likely to be evicted).
-      * @param {string[]} [options.tags] - List of tags to associate with this key.
-      * @returns {this}
-      */
-    set(key, value, options = {}) {
-        const {
-            ttl,
-            priority = 0,
-            tags = [],
-        } = options;
-
-        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
-
-        if (typeof priority === "number") {
-            this.priorityMap.set(key, priority);
-        }
+     * @param {number} index
+     * @returns {void}
+     * @private
+     */
+    _removeAt(index) {
+        const last = this.items.pop();
+        if (!last || index === this.items.length) return;
 
-        const defaultTTL = ttl || this.ttl;
+        this.items[index] = last;
+        last.index = index;
+        this._fix(index);
+    }
 
-        if (!this.overWrite && this.store.has(key)) return this;
+    /**
+     * @param {number} index
+     * @returns {void}
+     * @private
+     */
+    _fix(index) {
+        if (index > 0 && this.compare(this.items[index], this.items[(index - 1) >> 1]) < 0) this._siftUp(index);
+        else this._siftDown(index);
+    }
 
-        if (this.store.size >= this.limit && !this.store.has(key)) {
-            this.evict();
+    /**
+     * @param {number} index
+     * @returns {void}
+     * @private
+     */
+    _siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.items[index], this.items[parent]) >= 0) break;
+            this._swap(index, parent);
+            index = parent;
         }
+    }
 
-        this.store.set(key, value);
-        this.meta.set(key, Date.now());
-
-        if (typeof defaultTTL === "number" && defaultTTL > 0) {
-            this.ttlMap.set(key, Date.now() + defaultTTL);
-        } else {
-            this.ttlMap.delete(key);
+    /**
+     * @param {number} index
+     * @returns {void}
+     * @private
+     */
+    _siftDown(index) {
+        const length = this.items.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.compare(this.items[left], this.items[smallest]) < 0) smallest = left;
+            if (right < length && this.compare(this.items[right], this.items[smallest]) < 0) smallest = right;
+            if (smallest === index) break;
+
+            this._swap(index, smallest);
+            index = smallest;
         }
+    }
 
-        const tagSet = new Set(tags.map(String));
-        this.keyTags.set(key, tagSet);
-        for (const tag of tagSet) {
-            if (!this.tagMap.has(tag)) this.tagMap.set(tag, new Set());
-            this.tagMap.get(tag)?.add(key);
-        }
+    /**
+     * @param {number} i
+     * @param {number} j
+     * @returns {void}
+     * @private
+     */
+    _swap(i, j) {
+        const a = this.items[i];
+        const b = this.items[j];
+        this.items[i] = b;
+        this.items[j] = a;
+        a.index = j;
+        b.index = i;
+    }
+}
 
-        this.emit("set", { key, value, ttl: defaultTTL, tags, priority });
-        return this;
+/**
+ * Count-min sketch with 4-bit style saturating counters, used by TINYLFU to estimate
+ * how often a key was requested, including keys that are not (or no longer) cached.
+ * Counters are halved every `sampleSize` increments so the estimate follows recent traffic.
+ * @private
+ */
+class FrequencySketch {
+    /**
+     * @param {number} capacity - Expected number of entries
+     */
+    constructor(capacity) {
+        let width = 16;
+        while (width < Math.min(capacity, 1 << 20)) width <<= 1;
+
+        this.width = width;
+        this.depth = 4;
+        this.table = new Uint8Array(width * this.depth);
+        this.sampleSize = width * 10;
+        this.additions = 0;
+
+        /** @type {WeakMap<object, number>} */
+        this.objectIds = new WeakMap(); // object keys -> stable hash
+        this.nextObjectId = 1;
     }
 
     /**
-     * Get a value from the cache.
-     * @param {any} key - The key to retrieve.
-     * @returns {any | undefined}
-     * @example
-     * cache.get("user:1"); // { id: 1, name: "Alice" }
+     * @param {any} key
+     * @returns {void}
      */
-    get(key) {
-        if (!this.store.has(key)) {
-            this.misses++;
-            this.emit("get", { key, hit: false });
-            return undefined;
+    increment(key) {
+        const hash = this._hash(key);
+        let added = false;
+
+        for (let i = 0; i < this.depth; i++) {
+            const index = this._indexOf(hash, i);
+            if (this.table[index] < 15) {
+                this.table[index]++;
+                added = true;
+            }
         }
 
-        const ttl = this.ttlMap.get(key);
-        if (ttl && Date.now() > ttl) {
-            this.delete(key);
-            this.misses++;
-            this.emit("get", { key, hit: false });
-            return undefined;
-        }
+        if (added && ++this.additions >= this.sampleSize) this._reset();
+    }
 
-        if (this.updateOnGet) {
-            this.meta.set(key, Date.now());
+    /**
+     * @param {any} key
+     * @returns {number}
+     */
+    estimate(key) {
+        const hash = this._hash(key);
+        let min = 15;
+        for (let i = 0; i < this.depth; i++) {
+            min = Math.min(min, this.table[this._indexOf(hash, i)]);
         }
+        return min;
+    }
 
-        this.hits++;
-        const value = this.store.get(key);
-
-        this.emit("get", { key, hit: true, value });
-        return this.cloneOnGet ? this._clone(value) : value;
+    /**
+     * Halves every counter (aging).
+     * @returns {void}
+     * @private
+     */
+    _reset() {
+        for (let i = 0; i < this.table.length; i++) this.table[i] >>= 1;
+        this.additions = 0;
     }
 
     /**
-     * Returns all values associated with the given tag.
-     * @param {string} tag
-     * @returns {Array<any>}
+     * @param {number} hash
+     * @param {number} row
+     * @returns {number}
+     * @private
      */
-    getByTag(tag) {
-        const keys = this.tagMap.get(tag);
-        if (!keys) return [];
-        return [...keys].map(k => this.get(k)).filter(v => v !== undefined);
+    _indexOf(hash, row) {
+        let h = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b + row * 0x9e3779b9);
+        h ^= h >>> 15;
+        return row * this.width + ((h >>> 0) & (this.width - 1));
     }
 
     /**
-     * Check if a key exists in the cache.
+     * FNV-1a hash of the key, object keys get a stable numeric identity.
      * @param {any} key
-     * @returns {boolean}
-     * @example
-     * cache.has("user:1"); // true
+     * @returns {number}
+     * @private
      */
-    has(key) {
-        const exists = this.store.has(key);
-        const ttl = this.ttlMap.get(key);
-        if (!exists || (ttl && Date.now() > ttl)) {
-            this.delete(key);
-            this.emit("has", { key, found: false });
-            return false;
+    _hash(key) {
+        let source;
+        if ((typeof key === "object" && key !== null) || typeof key === "function") {
+            let id = this.objectIds.get(key);
+            if (!id) {
+                id = this.nextObjectId++;
+                this.objectIds.set(key, id);
+            }
+            source = `o:${id}`;
+        } else {
+            source = `${typeof key}:${String(key)}`;
         }
 
-        if (this.updateOnHas) {
-            this.meta.set(key, Date.now());
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return hash >>> 0;
+    }
+}
 
-        this.emit("has", { key, found: true });
-        return true;
+/**
+ * Adaptive Replacement Cache. New keys land in a recency list (T1), keys hit again move to a
+ * frequency list (T2) and the ghost lists of recently evicted keys (B1, B2) tune the target size of T1.
+ * @private
+ */
+class ArcPolicy {
+    constructor() {
+        this.t1 = new RecencyList(); // seen once
+        this.t2 = new RecencyList(); // seen at least twice
+        this.b1 = new RecencyList(); // ghosts evicted from T1
+        this.b2 = new RecencyList(); // ghosts evicted from T2
+        this.p = 0; // target size of T1
     }
 
+    get size() {
+        return this.t1.size + this.t2.size;
+    }
 
     /**
-     * Delete a key from the cache.
      * @param {any} key
-     * @returns {boolean}
-     * @example
-     * cache.delete("user:1"); // true
+     * @returns {void}
      */
-    delete(key) {
-        if (this.protectedKeys.has(key)) return false;
-
-        const existed = this.store.delete(key);
-        this.meta.delete(key);
-        this.ttlMap.delete(key);
-        this.priorityMap.delete(key);
-
-        const tags = this.keyTags.get(key);
-        if (tags) {
-            for (const tag of tags) {
-                const keys = this.tagMap.get(tag);
-                keys?.delete(key);
-                if (keys?.size === 0) this.tagMap.delete(tag);
-            }
-            this.keyTags.delete(key);
+    touch(key) {
+        if (this.t1.nodes.has(key) || this.t2.nodes.has(key)) return this.update(key);
+
+        const capacity = this.size + 1;
+        if (this.b1.remove(key)) {
+            // Evicted too early from T1: give recency more room
+            this.p = Math.min(capacity, this.p + Math.max(this.b2.size / (this.b1.size + 1), 1));
+            this.t2.touch(key);
+        } else if (this.b2.remove(key)) {
+            // Evicted too early from T2: give frequency more room
+            this.p = Math.max(0, this.p - Math.max(this.b1.size / (this.b2.size + 1), 1));
+            this.t2.touch(key);
+        } else {
+            this.t1.touch(key);
         }
-
-
-        this.emit("delete", { key, success: existed });
-        return existed;
     }
 
     /**
-     * Deletes all entries associated with the given tag.
-     * @param {string} tag
-     * @returns {number} - Number of deleted entries.
+     * A hit promotes the key to the frequency list.
+     * @param {any} key
+     * @returns {void}
      */
-    deleteByTag(tag) {
-        const keys = this.tagMap.get(tag);
-        if (!keys) return 0;
+    update(key) {
+        if (this.t1.remove(key) || this.t2.nodes.has(key)) this.t2.touch(key);
+    }
 
-        let deleted = 0;
-        for (const key of keys) {
-            if (this.delete(key)) deleted++;
+    /**
+     * @param {any} key
+     * @param {boolean} [evicted=false] - Whether the key is removed by eviction and should be remembered
+     * @returns {boolean}
+     */
+    remove(key, evicted = false) {
+        const ghosts = this.t1.remove(key) ? this.b1 : this.t2.remove(key) ? this.b2 : null;
+        if (!ghosts) return false;
+
+        if (evicted) {
+            ghosts.touch(key);
+            while (this.b1.size + this.b2.size > Math.max(this.size, 1)) {
+                const oldest = (this.b1.size >= this.b2.size ? this.b1 : this.b2).head;
+                if (!oldest) break;
+                (this.b1.size >= this.b2.size ? this.b1 : this.b2).remove(oldest.key);
+            }
         }
-
-        this.tagMap.delete(tag);
-        return deleted;
+        return true;
     }
 
     /**
-     * Renames a key while preserving its value and metadata (tags, ttl, etc.)
      * @param {any} oldKey
      * @param {any} newKey
-     * @returns {boolean} - Whether the rename was successful
-     * @example
-     * cache.rename("u:1", "user:1");
+     * @returns {void}
      */
     rename(oldKey, newKey) {
-        if (this.protectedKeys.has(oldKey) || this.protectedKeys.has(newKey)) return false;
-        if (!this.store.has(oldKey) || this.store.has(newKey)) return false;
+        this.t1.rename(oldKey, newKey);
+        this.t2.rename(oldKey, newKey);
+    }
 
-        const value = this.store.get(oldKey);
-        const meta = this.meta.get(oldKey);
-        const ttl = this.ttlMap.get(oldKey);
-        const tags = this.keyTags.get(oldKey);
+    /**
+     * @param {boolean} _fromNewest
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
+     */
+    find(_fromNewest, skip) {
+        const preferT1 = this.t1.size > 0 && (this.t1.size > this.p || !this.t2.size);
+        const [first, second] = preferT1 ? [this.t1, this.t2] : [this.t2, this.t1];
+        return first.find(false, skip) || second.find(false, skip);
+    }
+}
 
-        this.set(newKey, value);
-        if (meta) this.meta.set(newKey, meta);
-        if (ttl) this.ttlMap.set(newKey, ttl);
-        if (tags) {
-            this.keyTags.set(newKey, new Set(tags));
-            for (const tag of tags) {
-                this.tagMap.get(tag)?.add(newKey);
-                this.tagMap.get(tag)?.delete(oldKey);
-            }
-        }
+/**
+ * 2Q policy. New keys wait in a FIFO probation queue (A1in); only keys requested again, either
+ * while waiting or shortly after leaving it (tracked by the A1out ghost queue), enter the main LRU list (Am).
+ * @private
+ */
+class TwoQueuePolicy {
+    constructor() {
+        this.a1in = new RecencyList(); // probation, FIFO
+        this.am = new RecencyList(); // hot keys, LRU
+        this.a1out = new RecencyList(); // ghosts evicted from A1in
+    }
 
-        this.delete(oldKey);
-        return true;
+    get size() {
+        return this.a1in.size + this.am.size;
     }
 
     /**
-     * Protects a key from being deleted or evicted.
-     * @param {any} key - The key to protect.
-     * @returns {this}
-     * @example
-     * cache.protect("user:1"); // Protects the key "user:1" from deletion
+     * @param {any} key
+     * @returns {void}
      */
-    protect(key) {
-        if (this.store.has(key)) this.protectedKeys.add(key);
-        return this;
+    touch(key) {
+        if (this.a1in.nodes.has(key) || this.am.nodes.has(key)) return this.update(key);
+
+        if (this.a1out.remove(key)) this.am.touch(key);
+        else this.a1in.touch(key);
     }
 
     /**
-     * Unprotects a key, allowing it to be deleted or evicted.
-     * @param {any} key - The key to unprotect.
-     * @returns {this}
-     * @example
-     * cache.unprotect("user:1"); // Unprotects the key "user:1"
+     * A hit promotes a probation key to the main list.
+     * @param {any} key
+     * @returns {void}
      */
-    unprotect(key) {
-        if (this.store.has(key)) this.protectedKeys.delete(key);
-        return this;
+    update(key) {
+        if (this.a1in.remove(key) || this.am.nodes.has(key)) this.am.touch(key);
     }
 
     /**
-     * Checks if a key is protected from deletion or eviction.
-     * @param {any} key - The key to check.
-     * @returns {boolean} - Whether the key is protected.
-     * @example
-     * cache.isProtected("user:1"); // true or false
+     * @param {any} key
+     * @param {boolean} [evicted=false]
+     * @returns {boolean}
      */
-    ifProtected(key) {
-        return this.protectedKeys.has(key);
+    remove(key, evicted = false) {
+        if (this.am.remove(key)) return true;
+        if (!this.a1in.remove(key)) return false;
+
+        if (evicted) {
+            this.a1out.touch(key);
+            const maxGhosts = Math.max(1, Math.floor(this.size / 2));
+            while (this.a1out.size > maxGhosts && this.a1out.head) this.a1out.remove(this.a1out.head.key);
+        }
+        return true;
     }
 
     /**
-     * Removes all data from the cache, including metadata, TTLs, and tags.
+     * @param {any} oldKey
+     * @param {any} newKey
      * @returns {void}
-     * @example
-     * cache.flush();
      */
-    flush() {
-        this.store.clear();
-        this.meta.clear();
-        this.ttlMap.clear();
-        this.tagMap.clear();
-        this.keyTags.clear();
-        this.priorityMap.clear();
-
-        this.emit("flush", {});
+    rename(oldKey, newKey) {
+        this.a1in.rename(oldKey, newKey);
+        this.am.rename(oldKey, newKey);
     }
 
     /**
-     * Returns the remaining time-to-live (TTL) in milliseconds for a given key.
-     * If no TTL is set or the key is expired/missing, returns -1.
-     * @param {any} key
-     * @returns {number} Remaining TTL in milliseconds or -1 if none.
-     * @example
-     * const timeLeft = cache.ttl("user:123"); // e.g., 4242 ms
+     * @param {boolean} _fromNewest
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
      */
-    ttlExpire(key) {
-        const expireAt = this.ttlMap.get(key);
-        if (!this.store.has(key) || !expireAt) return -1;
+    find(_fromNewest, skip) {
+        const maxProbation = Math.max(1, Math.floor(this.size / 4));
+        const [first, second] = this.a1in.size > maxProbation || !this.am.size ? [this.a1in, this.am] : [this.am, this.a1in];
+        return first.find(false, skip) || second.find(false, skip);
+    }
+}
 
-        const now = Date.now();
-        return expireAt > now ? expireAt - now : -1;
+/**
+ * Window TinyLFU. New keys enter a small LRU window and graduate to the main LRU list;
+ * on eviction the oldest window key must have a higher estimated frequency than the main
+ * list's victim to be kept, otherwise the newcomer is the one evicted.
+ * @private
+ */
+class TinyLfuPolicy {
+    /**
+     * @param {FrequencySketch} sketch - Shared frequency estimator
+     */
+    constructor(sketch) {
+        this.sketch = sketch;
+        this.window = new RecencyList(); // admission window (~1%)
+        this.main = new RecencyList();
     }
 
+    get size() {
+        return this.window.size + this.main.size;
+    }
 
     /**
-     * Removes expired entries from the cache.
-     * @returns {number} - Number of removed entries.
-     * @example
-     * cache.prune(); // 3
+     * @param {any} key
+     * @returns {void}
      */
-    prune() {
-        let removed = 0;
-        const now = Date.now();
-        for (const [key, expireAt] of this.ttlMap.entries()) {
-            if (now > expireAt) {
-                if (this.delete(key)) removed++;
-            }
+    touch(key) {
+        if (this.main.nodes.has(key)) return this.main.touch(key);
+        if (this.window.nodes.has(key)) return this.window.touch(key);
+
+        this.sketch.increment(key);
+        this.window.touch(key);
+
+        // The window only holds ~1% of the keys, older ones graduate while there is room
+        const maxWindow = Math.max(1, Math.ceil(this.size / 100));
+        while (this.window.size > maxWindow && this.window.head) {
+            const graduate = this.window.head.key;
+            this.window.remove(graduate);
+            this.main.touch(graduate);
         }
-
-        this.emit("prune", { removed });
-        return removed;
     }
 
     /**
-     * Starts an interval that automatically prunes expired entries.
-     * @param {number} intervalMs - Interval in milliseconds.
-     * @returns {this}
-     * @example
-     * cache.autoPrune(10000); // every 10 seconds
+     * @param {any} key
+     * @returns {void}
      */
-    autoPrune(intervalMs) {
-        if (typeof intervalMs !== "number" || intervalMs <= 0) {
-            throw new CacheError("autoPrune interval must be a positive number (ms).");
-        }
-
-        this.stopAutoPrune(); // temiz başla
-
-        this._autoPruneIntervalId = setInterval(() => {
-            const removed = this.prune?.(); // varsa çağır
-            this.emit("autoPrune", { removed });
-        }, intervalMs);
-
-        return this;
+    update(key) {
+        this.sketch.increment(key);
+        if (this.main.nodes.has(key)) this.main.touch(key);
+        else if (this.window.nodes.has(key)) this.window.touch(key);
     }
 
     /**
-     * Stops the automatic prune interval if it's running.
-     * @returns {this}
+     * @param {any} key
+     * @param {boolean} [evicted=false] - Whether the key is removed by eviction, which admits the newcomer it lost to
+     * @returns {boolean}
      */
-    stopAutoPrune() {
-        if (this._autoPruneIntervalId) {
-            clearInterval(this._autoPruneIntervalId);
-            this._autoPruneIntervalId = null;
+    remove(key, evicted = false) {
+        if (this.window.remove(key)) return true;
+        if (!this.main.remove(key)) return false;
+
+        // The main victim only lost its slot because the oldest window key is requested more often
+        const candidate = this.window.head;
+        if (evicted && candidate && this.sketch.estimate(candidate.key) > this.sketch.estimate(key)) {
+            this.window.remove(candidate.key);
+            this.main.touch(candidate.key);
         }
-        return this;
+        return true;
     }
 
-
-    // #endregion
-
-    // #region Utility Methods
     /**
-     * Return current cache size.
-     * @returns {number}
-     * @example
-     * cache.size(); // 5
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {void}
      */
-    size() {
-        return this.store.size;
+    rename(oldKey, newKey) {
+        this.window.rename(oldKey, newKey);
+        this.main.rename(oldKey, newKey);
     }
 
     /**
-     * Get all keys in the cache.
-     * @returns {Array<any>}
-     * @example
-     * cache.keys(); // ["user:1", "user:2"]
+     * @param {boolean} _fromNewest
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
      */
-    keys() {
-        return [...this.store.keys()];
+    find(_fromNewest, skip) {
+        const candidate = this.window.find(false, skip);
+        const victim = this.main.find(false, skip);
+        if (!candidate || !victim) return candidate || victim;
+
+        // Admission: the newcomer replaces the main victim only if it is requested more often. The move into `main`
+        // happens in `remove()` once the victim is actually evicted.
+        return this.sketch.estimate(candidate.key) > this.sketch.estimate(victim.key) ? victim : candidate;
     }
+}
 
+/**
+ * Keeps every key in an eviction-ordered structure, grouped in one bucket per priority,
+ * so picking a victim never requires sorting the whole store.
+ * @private
+ */
+class EvictionIndex {
     /**
-     * Returns an iterator over cache values.
-     * @returns {Iterator<any>}
+     * @param {string} strategy - Cache eviction strategy
+     * @param {(key: any) => number} getFrequency - Returns the access counter of a key
+     * @param {number} capacity - Expected number of entries, sizes the TINYLFU sketch
      */
-    values() {
-        return this.store.values();
-    }
+    constructor(strategy, getFrequency, capacity) {
+        this.strategy = strategy;
+        this.getFrequency = getFrequency;
 
-    /**
-     * Returns an iterator over [key, value] entries.
-     * @returns {Iterator<[any, any]>}
-     */
-    entries() {
-        return this.store.entries();
-    }
+        /** @type {FrequencySketch | null} */
+        this.sketch = strategy === "TINYLFU" ? new FrequencySketch(capacity) : null;
 
-    /**
-     * Returns a new AlisaCache instance with entries that pass the test.
-     * @param {(value: any, key: any, cache: AlisaCache) => boolean} predicate
-     * @returns {AlisaCache}
-     * @example
-     * const activeUsers = cache.filter((v, k) => v.active);
-     */
-    filter(predicate) {
-        if (typeof predicate !== "function") {
-            throw new CacheError("Predicate must be a function.");
-        }
+        /** @type {Map<number, RecencyList | IndexedHeap | ArcPolicy | TwoQueuePolicy | TinyLfuPolicy>} */
+        this.buckets = new Map(); // priority -> ordered keys
 
-        const result = this._deepClone(); // Create a new instance of AlisaCache
+        /** @type {number[]} */
+        this.priorities = []; // ascending, lowest priority is evicted first
 
-        for (const [key, value] of this.store.entries()) {
-            if (predicate(value, key, this)) {
-                result.set(key, this.cloneOnGet ? this._clone(value) : value);
-            }
-        }
+        /** @type {Map<any, number>} */
+        this.priorityOf = new Map(); // key -> bucket priority
 
-        return result;
+        this.seq = 0; // monotonic touch counter
     }
 
     /**
-     * Creates a new array populated with the results of calling a provided function on every entry.
-     * @param {(value: any, key: any, cache: AlisaCache) => any} fn
-     * @returns {Array<any>}
-     * @example
-     * const usernames = cache.map(v => v.username);
+     * Marks a key as just used (or inserts it), moving it to another bucket if its priority changed.
+     * @param {any} key
+     * @param {number} [priority]
+     * @returns {void}
      */
-    map(fn) {
-        if (typeof fn !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
-        const result = [];
-        for (const [key, value] of this.store.entries()) {
-            result.push(fn(value, key, this));
+    touch(key, priority = this.priorityOf.get(key) || 0) {
+        const current = this.priorityOf.get(key);
+        if (current !== undefined && current !== priority) this.remove(key);
+
+        let bucket = this.buckets.get(priority);
+        if (!bucket) {
+            bucket = this._createBucket();
+            this.buckets.set(priority, bucket);
+
+            let i = 0;
+            while (i < this.priorities.length && this.priorities[i] < priority) i++;
+            this.priorities.splice(i, 0, priority);
         }
-        return result;
+
+        this.priorityOf.set(key, priority);
+        bucket.touch(key, ++this.seq);
     }
 
     /**
-     * Checks if at least one entry passes the test implemented by the provided function.
-     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
-     * @returns {boolean}
-     * @example
-     * const hasActiveUsers = cache.some(v => v.active);
+     * Notifies the index that a key was hit (its access counter changed).
+     * @param {any} key
+     * @returns {void}
      */
-    some(fn) {
-        if (typeof fn !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
-        for (const [key, value] of this.store.entries()) {
-            if (fn(value, key, this)) return true;
-        }
-        return false;
+    update(key) {
+        const priority = this.priorityOf.get(key);
+        if (priority !== undefined) this.buckets.get(priority)?.update(key);
     }
 
     /**
-     * Checks if all entries pass the test implemented by the provided function.
-     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
-     * @returns {boolean}
-     * @example
-     * const allActive = cache.every(v => v.active);
+     * Records a request for a key that is not cached, so admission policies can see its popularity.
+     * @param {any} key
+     * @returns {void}
      */
-    every(fn) {
-        if (typeof fn !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
-        for (const [key, value] of this.store.entries()) {
-            if (!fn(value, key, this)) return false;
-        }
-        return true;
+    miss(key) {
+        this.sketch?.increment(key);
     }
 
     /**
-     * Applies a function against an accumulator and each value to reduce it to a single result.
-     * @param {(accumulator: any, value: any, key: any, cache: AlisaCache) => any} reducer
-     * @param {any} initialValue
-     * @returns {any}
-     * @example
-     * const totalXP = cache.reduce((acc, val) => acc + val.xp, 0);
+     * Re-orders every bucket, used after all access counters were aged.
+     * @returns {void}
      */
-    reduce(reducer, initialValue) {
-        if (typeof reducer !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
-        let accumulator = initialValue;
-        for (const [key, value] of this.store.entries()) {
-            accumulator = reducer(accumulator, value, key, this);
+    refresh() {
+        for (const bucket of this.buckets.values()) {
+            if (bucket instanceof IndexedHeap) bucket.heapify();
         }
-        return accumulator;
     }
 
     /**
-     * Executes a function for each cache entry.
-     * @param {(value: any, key: any, cache: AlisaCache) => void} callback
+     * @param {any} key
+     * @param {boolean} [evicted=false] - Whether the key is being evicted (ghost-tracking policies remember it)
      * @returns {void}
      */
-    forEach(callback) {
-        if (typeof callback !== "function") {
-            throw new CacheError("'callback' must be a function.");
-        }
-
-        for (const [key, value] of this.store.entries()) {
-            callback(value, key, this);
+    remove(key, evicted = false) {
+        const priority = this.priorityOf.get(key);
+        if (priority === undefined) return;
+
+        this.priorityOf.delete(key);
+        const bucket = this.buckets.get(priority);
+        if (!bucket) return;
+
+        bucket.remove(key, evicted);
+        if (!bucket.size) {
+            this.buckets.delete(priority);
+            this.priorities.splice(this.priorities.indexOf(priority), 1);
         }
     }
 
     /**
-     * Groups values in the cache by a given function.
-     * @param {(value: any, key: any, cache: AlisaCache) => any} fn - Grouping function
-     * @returns {Map<any, any[]>} - Group key -> values
-     * @example
-     * const groups = cache.groupBy(v => v.role);
+     * Transfers the position of `oldKey` to `newKey`.
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {void}
      */
-    groupBy(fn) {
-        if (typeof fn !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
+    rename(oldKey, newKey) {
+        const priority = this.priorityOf.get(oldKey);
+        if (priority === undefined) return;
 
-        const groups = new Map();
-        for (const [key, value] of this.store.entries()) {
-            const groupKey = fn(value, key, this);
-            if (!groups.has(groupKey)) groups.set(groupKey, []);
-            groups.get(groupKey).push(value);
-        }
-        return groups;
+        this.remove(newKey);
+        this.priorityOf.delete(oldKey);
+        this.priorityOf.set(newKey, priority);
+        this.buckets.get(priority)?.rename(oldKey, newKey);
     }
 
     /**
-     * Partitions the cache into two new caches based on a predicate function.
-     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
-     * @returns {[AlisaCache, AlisaCache]} - [matchedCache, unmatchedCache]
-     * @example
-     * const [online, offline] = cache.partition(v => v.online);
+     * Returns the next key to evict, ignoring keys rejected by `skip`.
+     * @param {(key: any) => boolean} skip
+     * @returns {{ key: any } | null}
      */
-    partition(fn) {
-        if (typeof fn !== "function") {
-            throw new CacheError("'fn' must be a function.");
-        }
-
-        const matched = this._deepClone();
-        const unmatched = this._deepClone();
-
-        for (const [key, value] of this.store.entries()) {
-            const isMatch = fn(value, key, this);
-            const target = isMatch ? matched : unmatched;
-            target.set(key, this.cloneOnGet ? this._clone(value) : value);
+    victim(skip) {
+        const fromNewest = this.strategy === "LIFO";
+        for (const priority of this.priorities) {
+            const node = this.buckets.get(priority)?.find(fromNewest, skip);
+            if (node) return node;
         }
+        return null;
+    }
 
-        return [matched, unmatched];
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this.buckets.clear();
+        this.priorities = [];
+        this.priorityOf.clear();
+        this.seq = 0;
     }
 
     /**
-     * Searches for entries by key or value using a string or RegExp.
-     * @param {string | RegExp} query - Search string or regular expression.
-     * @param {"key" | "value" | "both"} [where="key"] - Field to search in.
-     * @returns {Array<[any, any]>} - Array of matching entries.
-     * @example
-     * cache.search("admin", "key");
-     * cache.search(/@gmail\.com$/, "value");
+     * @returns {RecencyList | IndexedHeap | ArcPolicy | TwoQueuePolicy | TinyLfuPolicy}
+     * @private
      */
-    search(query, where = "key") {
-        const regex = typeof query === "string" ? new RegExp(query, "i") : query;
+    _createBucket() {
+        switch (this.strategy) {
+            case "ARC":
+                return new ArcPolicy();
 
-        /** @type {Array<[any, any]>} */
-        const results = [];
+            case "2Q":
+                return new TwoQueuePolicy();
 
-        for (const [key, value] of this.store.entries()) {
-            const testKey = where === "key" || where === "both";
-            const testVal = where === "value" || where === "both";
+            case "TINYLFU":
+                return new TinyLfuPolicy(/** @type {FrequencySketch} */(this.sketch));
 
-            const keyMatch = testKey && regex.test(String(key));
-            const valMatch = testVal && regex.test(JSON.stringify(value));
+            case "LFU":
+                // Least frequently used first, oldest on ties
+                return new IndexedHeap((a, b) => this.getFrequency(a.key) - this.getFrequency(b.key) || a.seq - b.seq);
 
-            if (keyMatch || valMatch) {
-                results.push([key, value]);
-            }
+            case "MFU":
+                // Most frequently used first, oldest on ties
+                return new IndexedHeap((a, b) => this.getFrequency(b.key) - this.getFrequency(a.key) || a.seq - b.seq);
+
+            default:
+                return new RecencyList();
         }
+    }
+}
+// #endregion
 
-        return results;
+// #region Tag Index
+/**
+ * @typedef {Object} TagTrieNode
+ * @property {Map<string, TagTrieNode>} children - Next levels by name
+ * @property {string | null} tag - Tag ending at this node, if any
+ */
+
+/**
+ * Trie of hierarchical tags split by a separator, used to resolve wildcard patterns
+ * without scanning every tag.
+ */
+class TagTrie {
+    /**
+     * @param {string} separator
+     */
+    constructor(separator) {
+        this.separator = separator; // Level separator
+        /** @type {TagTrieNode} */
+        this.root = { children: new Map(), tag: null };
     }
 
     /**
-     * Immediately expires the TTL for a given key (if set).
-     * @param {any} key
-     * @returns {boolean} - Whether TTL existed and was expired
-     * @example
-     * cache.expire("user:1");
+     * Whether a tag contains a `*` level.
+     * @param {string} tag
+     * @returns {boolean}
      */
-    expire(key) {
-        if (!this.ttlMap.has(key)) return false;
-        this.ttlMap.set(key, Date.now() - 1);
-        return true;
+    isPattern(tag) {
+        return tag.split(this.separator).includes("*");
     }
 
+    /**
+     * @param {string} tag
+     * @returns {void}
+     */
+    add(tag) {
+        let node = this.root;
+        for (const level of tag.split(this.separator)) {
+            let child = node.children.get(level);
+            if (!child) {
+                child = { children: new Map(), tag: null };
+                node.children.set(level, child);
+            }
+            node = child;
+        }
+        node.tag = tag;
+    }
 
     /**
-     * Returns a list of all defined tags.
-     * @returns {Array<string>}
+     * Removes a tag and the nodes that no longer lead to any tag.
+     * @param {string} tag
+     * @returns {void}
      */
-    tags() {
-        return [...this.tagMap.keys()];
+    remove(tag) {
+        const path = [this.root];
+        for (const level of tag.split(this.separator)) {
+            const child = path[path.length - 1].children.get(level);
+            if (!child) return;
+            path.push(child);
+        }
+
+        path[path.length - 1].tag = null;
+        const levels = tag.split(this.separator);
+        for (let i = path.length - 1; i > 0; i--) {
+            const node = path[i];
+            if (node.tag !== null || node.children.size) break;
+            path[i - 1].children.delete(levels[i - 1]);
+        }
     }
 
     /**
-    * Returns detailed statistics about the cache usage.
-    * @returns {{
-    *   size: number,
-    *   limit: number,
-    *   hits: number,
-    *   misses: number,
-    *   evictions: number,
-    *   strategy: string,
-    *   tagCount: number,
-    *   tags: string[],
-    *   priority: { average: number }
-    * }}
+     * Returns every tag matching a pattern.
+     * @param {string} pattern
+     * @returns {string[]}
+     */
+    match(pattern) {
+        const levels = pattern.split(this.separator);
+        /** @type {string[]} */
+        const tags = [];
+
+        /** @param {TagTrieNode} node */
+        const collect = node => {
+            for (const child of node.children.values()) {
+                if (child.tag !== null) tags.push(child.tag);
+                collect(child);
+            }
+        };
+
+        /**
+         * @param {TagTrieNode} node
+         * @param {number} depth
+         */
+        const walk = (node, depth) => {
+            if (depth === levels.length) {
+                if (node.tag !== null) tags.push(node.tag);
+                return;
+            }
+
+            const level = levels[depth];
+            if (level !== "*") {
+                const child = node.children.get(level);
+                if (child) walk(child, depth + 1);
+            } else if (depth === levels.length - 1) {
+                collect(node); // trailing wildcard: every descendant
+            } else {
+                for (const child of node.children.values()) walk(child, depth + 1);
+            }
+        };
+
+        walk(this.root, 0);
+        return tags;
+    }
+
+    /**
+     * Whether a tag matches a pattern, without using the trie.
+     * @param {string} tag
+     * @param {string} pattern
+     * @returns {boolean}
+     */
+    matches(tag, pattern) {
+        const levels = tag.split(this.separator);
+        const patternLevels = pattern.split(this.separator);
+        const trailing = patternLevels[patternLevels.length - 1] === "*";
+
+        if (trailing ? levels.length < patternLevels.length : levels.length !== patternLevels.length) return false;
+        return patternLevels.every((level, i) => level === "*" || level === levels[i]);
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this.root = { children: new Map(), tag: null };
+    }
+}
+// #endregion
+
+// #region Helpers
+/**
+ * Clock backed by `Date.now()` and the global timers.
+ * @type {Clock}
+ */
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: id => clearInterval(id)
+};
+
+/**
+ * Clock that only moves when told to, running due timers in order. Meant for tests.
+ */
+class ManualClock {
+    /**
+     * @param {number} [start] - Initial time in milliseconds
+     */
+    constructor(start = Date.now()) {
+        this.time = start; // Current time
+        this.timers = new Map(); // id -> { at, interval, callback }
+        this.nextId = 1; // Id of the next timer
+    }
+
+    /**
+     * @returns {number}
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * @param {() => void} callback
+     * @param {number} ms
+     * @returns {number}
+     */
+    setTimeout(callback, ms) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.time + Math.max(ms, 0), interval: 0, callback });
+        return id;
+    }
+
+    /**
+     * @param {() => void} callback
+     * @param {number} ms
+     * @returns {number}
+     */
+    setInterval(callback, ms) {
+        const id = this.nextId++;
+        const interval = Math.max(ms, 1);
+        this.timers.set(id, { at: this.time + interval, interval, callback });
+        return id;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {void}
+     */
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {void}
+     */
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Moves the time forward, running every timer that becomes due on the way in order.
+     * @param {number} ms
+     * @returns {this}
+     */
+    advance(ms) {
+        const target = this.time + ms;
+
+        while (true) {
+            let nextId = 0;
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at <= target && (!next || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            }
+            if (!next) break;
+
+            this.time = next.at;
+            if (next.interval) next.at += next.interval;
+            else this.timers.delete(nextId);
+            next.callback();
+        }
+
+        this.time = target;
+        return this;
+    }
+}
+
+/**
+ * Roughly estimates how many bytes a value occupies in memory.
+ * Strings count 2 bytes per character, binary data counts its byte length and
+ * arrays, maps, sets and plain objects are walked recursively (circular references are counted once).
+ * @param {any} value
+ * @param {WeakSet<object>} [seen] - Objects already counted
+ * @returns {number}
+ */
+function estimateSize(value, seen = new WeakSet()) {
+    switch (typeof value) {
+        case "string":
+            return value.length * 2;
+
+        case "number":
+        case "bigint":
+            return 8;
+
+        case "boolean":
+            return 4;
+
+        case "object":
+            break;
+
+        default:
+            return 0; // undefined, functions and symbols
+    }
+
+    if (value === null || seen.has(value)) return 0;
+
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength; // Buffers, typed arrays, DataView
+    if (value instanceof Date) return 8;
+
+    seen.add(value);
+    let size = 0;
+
+    if (Array.isArray(value) || value instanceof Set) {
+        for (const item of value) size += estimateSize(item, seen);
+    } else if (value instanceof Map) {
+        for (const [k, v] of value) size += estimateSize(k, seen) + estimateSize(v, seen);
+    } else {
+        for (const k of Object.keys(value)) size += k.length * 2 + estimateSize(value[k], seen);
+    }
+
+    return size;
+}
+
+/**
+ * Serializes a value to a string that is the same for equal values: object keys are sorted,
+ * Map and Set entries are sorted, Dates use their timestamp and strings are quoted so `"1"` and `1` differ.
+ * @param {any} value
+ * @param {WeakSet<object>} [seen] - Objects on the current path, to detect circular references
+ * @returns {string}
+ */
+function stableKey(value, seen = new WeakSet()) {
+    switch (typeof value) {
+        case "string":
+            return JSON.stringify(value);
+
+        case "number":
+        case "boolean":
+        case "undefined":
+            return String(value);
+
+        case "bigint":
+            return `${value}n`;
+
+        case "symbol":
+            return value.toString();
+
+        case "function":
+            return `[Function ${value.name}]`;
+    }
+
+    if (value === null) return "null";
+    if (value instanceof Date) return `Date(${value.getTime()})`;
+    if (value instanceof RegExp) return String(value);
+    if (seen.has(value)) return "[Circular]";
+
+    seen.add(value);
+    let key;
+
+    if (Array.isArray(value)) {
+        key = `[${value.map(item => stableKey(item, seen)).join(",")}]`;
+    } else if (value instanceof Map) {
+        key = `Map{${[...value].map(([k, v]) => `${stableKey(k, seen)}:${stableKey(v, seen)}`).sort().join(",")}}`;
+    } else if (value instanceof Set) {
+        key = `Set[${[...value].map(item => stableKey(item, seen)).sort().join(",")}]`;
+    } else {
+        key = `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableKey(value[k], seen)}`).join(",")}}`;
+    }
+
+    seen.delete(value); // the same object may appear again outside of this path
+    return key;
+}
+
+/**
+ * @typedef {{ type: "tag", name: string } | { type: "and" | "or", nodes: TagNode[] } | { type: "not", node: TagNode }} TagNode
+ */
+
+/**
+ * Parses a tag expression such as `"user & (premium | trial) & !banned"`.
+ * `!` binds tighter than `&`, which binds tighter than `|`.
+ * @param {string} expression
+ * @returns {TagNode}
+ */
+function parseTagExpression(expression) {
+    const tokens = expression.match(/[&|!()]|[^\s&|!()]+/g) || [];
+    let position = 0;
+
+    const fail = () => {
+        throw new CacheError(`Invalid tag expression "${expression}".`);
+    };
+
+    /** @returns {TagNode} */
+    const parseOr = () => {
+        const nodes = [parseAnd()];
+        while (tokens[position] === "|") {
+            position++;
+            nodes.push(parseAnd());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+    };
+
+    /** @returns {TagNode} */
+    const parseAnd = () => {
+        const nodes = [parseNot()];
+        while (tokens[position] === "&") {
+            position++;
+            nodes.push(parseNot());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+    };
+
+    /** @returns {TagNode} */
+    const parseNot = () => {
+        const token = tokens[position++];
+        if (token === "!") return { type: "not", node: parseNot() };
+        if (token === "(") {
+            const node = parseOr();
+            if (tokens[position++] !== ")") fail();
+            return node;
+        }
+        if (token === undefined || "&|)".includes(token)) fail();
+        return { type: "tag", name: token };
+    };
+
+    const node = parseOr();
+    if (position !== tokens.length) fail();
+    return node;
+}
+
+/**
+ * Returns a copy of `target` with `source` merged into it. Plain objects are merged recursively,
+ * everything else (arrays included) is replaced.
+ * @param {Record<string, any>} target
+ * @param {Record<string, any>} source
+ * @returns {Record<string, any>}
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [name, value] of Object.entries(source)) {
+        result[name] = valueTypes.hash(value) && valueTypes.hash(result[name]) ? deepMerge(result[name], value) : value;
+    }
+    return result;
+}
+// #endregion
+
+// #region Transactions
+/**
+ * @typedef {Object} TransactionReader
+ * @property {(key: any) => number | undefined} revision - Current revision of a key
+ * @property {(key: any) => boolean} isLive - Whether a key is stored and not expired, without counting an access
+ * @property {(key: any) => any} value - Value of a live key like `get()` returns it, without counting an access or expiring it
+ * @property {(key: any) => boolean} isProtected - Whether a stored key is protected from deletion
+ * @property {(key: any) => { value: any, tags: string[] }} entry - Stored value and tags of a key
+ * @property {(tag: string) => any[]} taggedKeys - Stored keys with a tag (or tag pattern)
+ * @property {(tag: string, pattern: string) => boolean} tagMatches - Whether a tag is matched by a tag or tag pattern
+ */
+
+/**
+ * Changes staged by `cache.transaction()`. Reads see the staged changes, nothing touches the cache before commit.
+ */
+class Transaction {
+    /**
+     * @param {AlisaCache} cache
+     * @param {TransactionReader} reader - Access to the cache internals the staged view needs
+     */
+    constructor(cache, reader) {
+        this.cache = cache; // Cache the changes are committed to
+        this.reader = reader; // Internal state of the cache
+        /** @type {Array<[string, any[]]>} */
+        this.operations = []; // [method, args] in the order they were staged
+        /** @type {Map<any, { value: any, tags: string[] } | null>} */
+        this.staged = new Map(); // key -> staged entry, null when deleted
+        /** @type {Map<any, number | undefined>} */
+        this.watched = new Map(); // key -> revision when it was watched
+    }
+
+    /**
+     * Makes the commit fail if one of the keys is written or deleted outside of this transaction before it.
+     * @param {...any} keys
+     * @returns {this}
+     */
+    watch(...keys) {
+        for (const key of keys) {
+            if (!this.watched.has(key)) this.watched.set(key, this.reader.revision(key));
+        }
+        return this;
+    }
+
+    /**
+     * @param {any} key
+     * @returns {any}
+     */
+    get(key) {
+        if (this.staged.has(key)) return this.staged.get(key)?.value;
+        return this.reader.value(key);
+    }
+
+    /**
+     * @param {any} key
+     * @returns {boolean}
+     */
+    has(key) {
+        if (this.staged.has(key)) return this.staged.get(key) !== null;
+        return this.reader.isLive(key);
+    }
+
+    /**
+     * @param {any} key
+     * @param {any} value
+     * @param {Object} [options] - Same options as `cache.set()`
+     * @returns {this}
+     */
+    set(key, value, options = {}) {
+        const { tags = [] } = /** @type {any} */ (options);
+        this.staged.set(key, { value, tags: Array.isArray(tags) ? tags.map(String) : [] });
+        this.operations.push(["set", [key, value, options]]);
+        return this;
+    }
+
+    /**
+     * Stages a delete. Missing and protected keys are left alone, like `cache.delete()` does.
+     * @param {any} key
+     * @returns {boolean} - Whether the key will be deleted
+     */
+    delete(key) {
+        if (!this.has(key) || this.reader.isProtected(key)) return false;
+
+        this.staged.set(key, null);
+        this.operations.push(["delete", [key]]);
+        return true;
+    }
+
+    /**
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {boolean}
+     */
+    rename(oldKey, newKey) {
+        if (!this.has(oldKey) || this.has(newKey)) return false;
+
+        const entry = this.staged.get(oldKey) || this.reader.entry(oldKey);
+        this.staged.set(newKey, entry);
+        this.staged.set(oldKey, null);
+        this.operations.push(["rename", [oldKey, newKey]]);
+        return true;
+    }
+
+    /**
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists in the transaction's view
+     */
+    addTags(key, tags) {
+        return this._stageTags(key, "addTags", tags, current => [...new Set([...current, ...tags.map(String)])]);
+    }
+
+    /**
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists in the transaction's view
+     */
+    removeTags(key, tags) {
+        return this._stageTags(key, "removeTags", tags, current => current.filter(tag => !tags.map(String).includes(tag)));
+    }
+
+    /**
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists in the transaction's view
+     */
+    setTags(key, tags) {
+        return this._stageTags(key, "setTags", tags, () => [...new Set(tags.map(String))]);
+    }
+
+    /**
+     * Stages a tag change of one entry.
+     * @param {any} key
+     * @param {string} method - Cache method applying the change
+     * @param {string[]} tags
+     * @param {(current: string[]) => string[]} apply - Computes the staged tags
+     * @returns {boolean}
+     * @private
+     */
+    _stageTags(key, method, tags, apply) {
+        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+        if (!this.has(key)) return false;
+
+        const entry = this.staged.get(key) || this.reader.entry(key);
+        this.staged.set(key, { value: entry.value, tags: apply(entry.tags) });
+        this.operations.push([method, [key, tags]]);
+        return true;
+    }
+
+    /**
+     * Stages a delete of every entry with a tag (or tag pattern). Protected keys are skipped, like `cache.deleteByTag()` does.
+     * @param {string} tag
+     * @returns {number} - Number of entries that will be deleted
+     */
+    deleteByTag(tag) {
+        const keys = this.reader.taggedKeys(tag).filter(key => !this.staged.has(key) && this.reader.isLive(key));
+        for (const [key, entry] of this.staged) {
+            if (entry?.tags.some(entryTag => this.reader.tagMatches(entryTag, tag))) keys.push(key);
+        }
+
+        const deleted = keys.filter(key => !this.reader.isProtected(key));
+        for (const key of deleted) this.staged.set(key, null);
+        this.operations.push(["deleteByTag", [tag]]);
+        return deleted.length;
+    }
+}
+// #endregion
+
+/**
+ * Represents a high-performance, multi-strategy cache system.
+ */
+class AlisaCache {
+    // #region Properties
+    /**
+     * @param {AlisaCacheOptions} [options={}]
+     */
+    constructor(options = {}) {
+        const {
+            limit = 100,
+            ttl,
+            updateOnGet = false,
+            updateOnHas = false,
+            cloneOnGet = false,
+            overWrite = true,
+            strategy = "LRU",
+            customEvict = null,
+            frequencyDecay = 0.5,
+            decayInterval = limit * 10,
+            maxSize = Infinity,
+            sizeCalculation = null,
+            evictionScope = "allkeys",
+            highWatermark = 1,
+            lowWatermark,
+            namespaceMode = "isolated",
+            namespaceFairness = "largest",
+            preciseExpiry = false,
+            staleTTL = 0,
+            loader = null,
+            refreshAhead = 0,
+            tagSeparator = ":",
+            clock = systemClock
+        } = options;
+
+        if (typeof limit !== "number" || limit <= 0) {
+            throw new CacheError("`limit` must be a positive number.");
+        }
+
+        if (!validStrategies.includes(strategy) && !registeredStrategies.has(strategy)) {
+            throw new CacheError(`Invalid strategy "${strategy}". Must be one of: ${[...validStrategies, ...registeredStrategies.keys()].join(", ")}`);
+        }
+
+        if (strategy === "CUSTOM" && typeof customEvict !== "function") {
+            throw new CacheError("When using CUSTOM strategy, `customEvict` must be a function.");
+        }
+
+        if (typeof frequencyDecay !== "number" || frequencyDecay < 0 || frequencyDecay > 1) {
+            throw new CacheError("`frequencyDecay` must be a number between 0 and 1.");
+        }
+
+        if (typeof decayInterval !== "number" || decayInterval <= 0) {
+            throw new CacheError("`decayInterval` must be a positive number.");
+        }
+
+        if (typeof maxSize !== "number" || maxSize <= 0) {
+            throw new CacheError("`maxSize` must be a positive number.");
+        }
+
+        if (sizeCalculation !== null && typeof sizeCalculation !== "function") {
+            throw new CacheError("`sizeCalculation` must be a function.");
+        }
+
+        if (!validEvictionScopes.includes(evictionScope)) {
+            throw new CacheError(`Invalid evictionScope "${evictionScope}". Must be one of: ${validEvictionScopes.join(", ")}`);
+        }
+
+        if (typeof highWatermark !== "number" || highWatermark <= 0 || highWatermark > 1) {
+            throw new CacheError("`highWatermark` must be a number greater than 0 and at most 1.");
+        }
+
+        if (lowWatermark !== undefined && (typeof lowWatermark !== "number" || lowWatermark < 0 || lowWatermark >= highWatermark)) {
+            throw new CacheError("`lowWatermark` must be a number between 0 and `highWatermark` (exclusive).");
+        }
+
+        if (!validNamespaceModes.includes(namespaceMode)) {
+            throw new CacheError(`Invalid namespaceMode "${namespaceMode}". Must be one of: ${validNamespaceModes.join(", ")}`);
+        }
+
+        if (!validNamespaceFairness.includes(namespaceFairness)) {
+            throw new CacheError(`Invalid namespaceFairness "${namespaceFairness}". Must be one of: ${validNamespaceFairness.join(", ")}`);
+        }
+
+        if (typeof preciseExpiry !== "boolean") {
+            throw new CacheError("`preciseExpiry` must be a boolean.");
+        }
+
+        if (typeof staleTTL !== "number" || staleTTL < 0) {
+            throw new CacheError("`staleTTL` must be a non-negative number.");
+        }
+
+        if (loader !== null && typeof loader !== "function") {
+            throw new CacheError("`loader` must be a function.");
+        }
+
+        if (typeof refreshAhead !== "number" || refreshAhead < 0 || refreshAhead >= 1) {
+            throw new CacheError("`refreshAhead` must be a number between 0 (disabled) and 1 (exclusive).");
+        }
+
+        if (typeof tagSeparator !== "string" || !tagSeparator.length) {
+            throw new CacheError("`tagSeparator` must be a non-empty string.");
+        }
+
+        if (!clock || ["now", "setInterval", "clearInterval"].some(fn => typeof clock[fn] !== "function")) {
+            throw new CacheError("`clock` must implement `now()`, `setInterval()` and `clearInterval()`.");
+        }
+
+        this.limit = limit; // Maximum number of items the cache can store
+        this.ttl = ttl; // Time to live in milliseconds (not used in this version)
+        this.updateOnGet = updateOnGet; // Whether accessing a key should update its position (LRU behavior)
+        this.updateOnHas = updateOnHas; // Whether checking a key should update its position (LRU behavior)
+        this.cloneOnGet = cloneOnGet; // Whether to return a clone of the value when getting it
+        this.overWrite = overWrite; // Whether to overwrite existing keys
+        this.strategy = strategy; // Cache eviction strategy
+        this.customEvict = customEvict; // Custom eviction function when using "CUSTOM" strategy. It should return the key to evict.
+        this.frequencyDecay = frequencyDecay; // Factor applied to access counters on every aging pass
+        this.decayInterval = decayInterval; // Number of hits between two aging passes
+        this.maxSize = maxSize; // Maximum total weight of all entries
+        this.sizeCalculation = sizeCalculation || (maxSize !== Infinity ? estimateSize : null); // Entry weight function, sizes are not tracked when null
+        this.totalSize = 0; // Current total weight of all entries
+        this.evictionScope = evictionScope; // Which keys can be evicted (not used by custom strategies)
+        this.highWatermark = highWatermark; // Fraction of the capacity at which eviction starts
+        this.lowWatermark = lowWatermark; // Fraction of the capacity batch eviction trims down to
+        this.namespaceMode = namespaceMode; // Whether namespaces share this cache's capacity
+        this.namespaceFairness = namespaceFairness; // Which cache gives up entries when the shared budget is exceeded
+        this.preciseExpiry = preciseExpiry; // Whether entries are removed by a timer at their deadline
+        this.staleTTL = staleTTL; // Default window in which expired values are still served while refreshing
+        this.loader = loader; // Loads fresh values for stale entries
+        this.refreshAhead = refreshAhead; // Fraction of the TTL after which hits reload the key in the background
+        this.tagSeparator = tagSeparator; // Separator of hierarchical tag levels
+        this.clock = clock; // Time source and timers
+
+        const definition = registeredStrategies.get(strategy);
+
+        /**
+         * Instance of a registered eviction strategy, if one is used.
+         * @type {EvictionStrategy | null}
+         * @private
+         */
+        this._customStrategy = typeof definition === "function" ? definition() : definition || null;
+        if (this._customStrategy && typeof this._customStrategy.selectVictim !== "function") {
+            throw new CacheError(`Strategy "${strategy}" must implement \`selectVictim(context)\`.`);
+        }
+
+        this.hits = 0; // Cache hits
+        this.misses = 0; // Cache misses
+        this.evictions = 0; // Cache evictions
+
+        /**
+         * Internal auto prune timer ID.
+         * @type {any}
+         * @private
+         */
+        this._autoPruneIntervalId = null;
+
+        /**
+         * Timer that removes the next due entries when `preciseExpiry` is enabled.
+         * @type {any}
+         * @private
+         */
+        this._expiryTimer = null;
+
+        /**
+         * Deadline the expiry timer is armed for.
+         * @type {number}
+         * @private
+         */
+        this._expiryTimerAt = 0;
+
+        /**
+         * Hits recorded since the last frequency aging pass.
+         * @type {number}
+         * @private
+         */
+        this._hitsSinceDecay = 0;
+
+        /**
+         * Keys evicted by the running batch, or null outside of batch eviction.
+         * @type {any[] | null}
+         * @private
+         */
+        this._evictedBatch = null;
+
+        /**
+         * @type {Map<any, any>}
+         * @private
+         */
+        this.store = new Map(); // key -> value
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.meta = new Map(); // key -> last accessed timestamp
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.frequency = new Map(); // key -> access counter (LFU/MFU)
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.ttlMap = new Map(); // key -> expiration timestamp
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.ttlDurations = new Map(); // key -> TTL length in milliseconds, used to renew the expiry
+
+        /**
+         * Keys whose expiry is renewed on every hit.
+         * @type {Set<any>}
+         * @private
+         */
+        this.slidingKeys = new Set();
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.staleWindows = new Map(); // key -> milliseconds the value is still served after its TTL
+
+        /**
+         * Background refreshes in progress, one per key.
+         * @type {Map<any, Promise<void>>}
+         * @private
+         */
+        this._refreshing = new Map();
+
+        /**
+         * Loads started by `getOrSet`, shared by every caller missing the same key.
+         * @type {Map<any, Promise<any>>}
+         * @private
+         */
+        this._inflight = new Map();
+
+        /**
+         * Loader errors remembered for their `errorTTL`.
+         * @type {Map<any, { error: any, until: number }>}
+         * @private
+         */
+        this._failures = new Map();
+
+        /**
+         * Keys waiting for the next `getMany` batch, grouped by batch key (the batch loader by default).
+         * @type {Map<any, { loader: Function, keys: Map<any, { resolve: (value: any) => void, reject: (error: any) => void, options: Object }> }>}
+         * @private
+         */
+        this._batches = new Map();
+
+        /**
+         * Keys with a TTL, the one that has to be removed first on top.
+         * @type {IndexedHeap}
+         * @private
+         */
+        this._expiryHeap = new IndexedHeap((a, b) => this._deadline(a.key) - this._deadline(b.key));
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.priorityMap = new Map(); // key -> priority value
+
+        /**
+         * @type {Map<any, number>}
+         * @private
+         */
+        this.sizeMap = new Map(); // key -> entry weight
+
+        /**
+         * Eviction order of every key, grouped by priority.
+         * @type {EvictionIndex}
+         * @private
+         */
+        this._evictionIndex = new EvictionIndex(strategy, key => this.frequency.get(key) || 0, limit);
+
+        /**
+         * Map of tags to sets of keys.
+         * @type {Map<string, Set<any>>}
+         * @private
+         */
+        this.tagMap = new Map();
+
+        /**
+         * Map of key to tags.
+         * @type {Map<any, Set<string>>}
+         * @private
+         */
+        this.keyTags = new Map();
+
+        /**
+         * Hierarchical index of the tags in `tagMap`, used for wildcard patterns.
+         * @type {TagTrie}
+         * @private
+         */
+        this._tagTrie = new TagTrie(tagSeparator);
+
+        /**
+         * Generation of each invalidated tag, entries linked under an older generation are dead.
+         * @type {Map<string, number>}
+         * @private
+         */
+        this._tagGenerations = new Map();
+
+        /**
+         * Map of key to the generation each of its tags had when it was linked.
+         * @type {Map<any, Map<string, number>>}
+         * @private
+         */
+        this._tagLinks = new Map();
+
+        /**
+         * Map of tag to the timestamp set by `expireTag()`.
+         * @type {Map<string, number>}
+         * @private
+         */
+        this._tagDeadlines = new Map();
+
+        /**
+         * Map of invalidated tag to the number of its entries linked under an older generation.
+         * They are cleaned up by `prune()`, or one at a time when an eviction needs room.
+         * @type {Map<string, number>}
+         * @private
+         */
+        this._deadLinks = new Map();
+
+        /**
+         * Where evictions continue searching for invalidated entries: the tags left to visit and the members of the current one.
+         * @type {{ tags: Iterator<string>, tag?: string, keys?: Iterator<any> } | null}
+         * @private
+         */
+        this._deadScan = null;
+
+        /**
+         * Internal event listener map.
+         * @type {Map<string, Set<Function>>}
+         * @private
+         */
+        this.listeners = new Map();
+
+        /**
+         * Holds sub-cache instances for namespaced segments.
+         * @type {Map<string, AlisaCache>}
+         * @private
+         */
+        this.namespaces = new Map();
+
+        /**
+         * Cache that created this namespace, null for top-level caches.
+         * @type {AlisaCache | null}
+         * @private
+         */
+        this._parent = null;
+
+        /**
+         * Fraction of the shared budget reserved for this namespace.
+         * @type {number}
+         * @private
+         */
+        this._reserve = 0;
+
+        /**
+         * Position of the "round-robin" namespace fairness policy.
+         * @type {number}
+         * @private
+         */
+        this._budgetCursor = 0;
+
+        /**
+         * Set of keys that cannot be deleted.
+         * @type {Set<any>}
+         * @private
+         */
+        this.protectedKeys = new Set(); // Protected keys that cannot be deleted
+
+        /**
+         * Revision of every stored key, taken from `_revision` on each write. Used to detect concurrent changes.
+         * @type {Map<any, number>}
+         * @private
+         */
+        this._keyRevisions = new Map();
+
+        /**
+         * Last revision handed out.
+         * @type {number}
+         * @private
+         */
+        this._revision = 0;
+
+        /**
+         * State of the keys changed while a transaction commits, to restore them if it fails.
+         * @type {Map<any, Object | null> | null}
+         * @private
+         */
+        this._journal = null;
+
+        /**
+         * Events held back while a transaction commits.
+         * @type {Array<[string, any]> | null}
+         * @private
+         */
+        this._deferredEvents = null;
+    }
+    // #endregion
+
+    // #region Event Methods
+    /**
+     * Registers a new listener for the given event.
+     * @param {string} event - Event name (e.g., "get", "set", "delete", "has")
+     * @param {(payload: any) => void} callback - Listener callback
+     * @returns {this}
+     * @example
+     * cache.on("get", ({ key, hit }) => console.log(key, hit));
+     */
+    on(event, callback) {
+        if (typeof event !== "string") throw new CacheError("Event name must be a string.");
+        if (typeof callback !== "function") throw new CacheError("Callback must be a function.");
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event)?.add(callback);
+        return this;
+    }
+
+    /**
+     * Unregisters a listener for a given event.
+     * @param {string} event
+     * @param {(payload: any) => void} callback
+     * @returns {this}
+     */
+    off(event, callback) {
+        this.listeners.get(event)?.delete(callback);
+        return this;
+    }
+
+    /**
+     * Emits an event to all registered listeners.
+     * @param {string} event
+     * @param {any} payload
+     * @returns {void}
+     */
+    emit(event, payload) {
+        if (this._deferredEvents) {
+            this._deferredEvents.push([event, payload]);
+            return;
+        }
+
+        for (const listener of this.listeners.get(event) || []) {
+            try {
+                listener(payload);
+            } catch (err) {
+                console.error(`[AlisaCache] Error in "${event}" listener:`, err);
+            }
+        }
+    }
+    // #endregion
+
+    // #region Namespace
+    /**
+     * Creates or returns a namespaced AlisaCache instance.
+     * Each namespace is isolated with its own store, meta, TTL, tags, etc.
+     * With `namespaceMode: "shared"` all namespaces also count against this cache's `limit`/`maxSize`.
+     * Options are only applied when the namespace is created.
+     * @param {string} name - The namespace identifier
+     * @param {NamespaceOptions} [options={}] - Quotas and reservation of the namespace
+     * @returns {AlisaCache|undefined}
+     * @example
+     * const guildCache = cache.namespace("guild:1234");
+     * guildCache.set("prefix", "!");
+     *
+     * const shared = new AlisaCache({ limit: 1000, namespaceMode: "shared" });
+     * shared.namespace("sessions", { limit: 600, reserve: 0.2 });
+     */
+    namespace(name, options = {}) {
+        if (typeof name !== "string" || !name.length) {
+            throw new CacheError("Namespace name must be a non-empty string.");
+        }
+
+        if (this.namespaces.has(name)) return this.namespaces.get(name);
+
+        const { limit, maxSize, reserve = 0 } = options;
+
+        if (limit !== undefined && (typeof limit !== "number" || limit <= 0)) {
+            throw new CacheError("Namespace `limit` must be a positive number.");
+        }
+
+        if (maxSize !== undefined && (typeof maxSize !== "number" || maxSize <= 0)) {
+            throw new CacheError("Namespace `maxSize` must be a positive number.");
+        }
+
+        const reserved = [...this.namespaces.values()].reduce((sum, ns) => sum + ns._reserve, 0);
+        if (typeof reserve !== "number" || reserve < 0 || reserved + reserve > 1) {
+            throw new CacheError("Namespace `reserve` must be a number between 0 and 1, and all reservations together cannot exceed 1.");
+        }
+
+        const ns = this._deepClone(); // Create a new instance of AlisaCache with the same options
+        if (limit !== undefined) ns.limit = limit;
+        if (maxSize !== undefined) {
+            ns.maxSize = maxSize;
+            ns.sizeCalculation = ns.sizeCalculation || estimateSize;
+        }
+        ns._parent = this;
+        ns._reserve = reserve;
+
+        // Event forwarding (optional, isteğe bağlı)
+        ns.on = this.on.bind(this);
+        ns.emit = this.emit.bind(this);
+
+        this.namespaces.set(name, ns);
+        return ns;
+    }
+
+    /**
+     * Returns a list of all defined namespace identifiers.
+     * @returns {string[]}
+     * @example
+     * cache.listNamespaces(); // ["guild:123", "guild:456"]
+     */
+    listNamespaces() {
+        return [...this.namespaces.keys()];
+    }
+
+    /**
+   * Removes a namespaced cache instance.
+   * @param {string} name - The name of the namespace to remove
+   * @returns {boolean} - Whether the namespace was removed
+   * @example
+   * cache.removeNamespace("guild:123");
+   */
+    removeNamespace(name) {
+        return this.namespaces.delete(name);
+    }
+
+    /**
+     * Returns how many entries and how much weight this cache and each of its namespaces (recursively) use.
+     * @returns {{
+     *   count: number,
+     *   size: number,
+     *   limit: number,
+     *   maxSize: number,
+     *   namespaces: Record<string, { count: number, size: number, reserve: number }>
+     * }}
+     * @example
+     * cache.namespaceUsage();
+     * // => { count: 120, size: 0, limit: 1000, maxSize: Infinity, namespaces: { sessions: { count: 80, size: 0, reserve: 0.2 } } }
+     */
+    namespaceUsage() {
+        /** @type {Record<string, { count: number, size: number, reserve: number }>} */
+        const namespaces = {};
+        let count = this.store.size;
+        let size = this.totalSize;
+
+        for (const [name, ns] of this.namespaces.entries()) {
+            const usage = ns.namespaceUsage();
+            namespaces[name] = { count: usage.count, size: usage.size, reserve: ns._reserve };
+            count += usage.count;
+            size += usage.size;
+        }
+
+        return { count, size, limit: this.limit, maxSize: this.maxSize, namespaces };
+    }
+
+    /**
+   * Flushes all namespace caches.
+   * @returns {void}
+   * @example
+   * cache.flushNamespaces();
+   */
+    flushNamespaces() {
+        for (const ns of this.namespaces.values()) {
+            ns.flush();
+        }
+    }
+
+    // #endregion  
+
+    // #region General Methods
+    /**
+      * Sets a value in the cache with optional TTL support.
+      * @param {any} key - Cache key.
+      * @param {any} value - Value to cache.
+      * @param {Object} [options={}]
+      * @param {number} [options.ttl] - Time to live in milliseconds.
+      * @param {number} [options.priority] - Priority level (higher = less likely to be evicted).
+      * @param {string[]} [options.tags] - List of tags to associate with this key.
+      * @param {number} [options.size] - Weight of the entry, overrides `sizeCalculation`.
+      * @param {boolean} [options.sliding=false] - Whether every hit resets the TTL (sliding expiration).
+      * @param {number} [options.staleTTL] - Milliseconds the value is still served after the TTL while it is refreshed. Defaults to the `staleTTL` option.
+      * @returns {this}
+      * @throws {CacheError} If the entry is larger than `maxSize`.
+      */
+    set(key, value, options = {}) {
+        const {
+            ttl,
+            priority = 0,
+            tags = [],
+            sliding = false,
+            staleTTL = this.staleTTL
+        } = options;
+
+        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+        if (typeof staleTTL !== "number" || staleTTL < 0) throw new CacheError("`staleTTL` must be a non-negative number.");
+
+        const defaultTTL = ttl || this.ttl;
+
+        if (!this.overWrite && this.store.has(key)) return this;
+
+        this._recordUndo(key);
+        const entrySize = this._calculateSize(key, value, options.size);
+        if (entrySize > this.maxSize) {
+            throw new CacheError(`Entry size (${entrySize}) exceeds \`maxSize\` (${this.maxSize}).`);
+        }
+
+        this._makeRoom(new Map([[key, entrySize]]));
+        this._enforceSharedBudget(key, entrySize);
+
+        if (typeof priority === "number") {
+            this.priorityMap.set(key, priority);
+        }
+
+        this.store.set(key, value);
+        this._keyRevisions.set(key, ++this._revision);
+        this._setSize(key, entrySize);
+        this.meta.set(key, this.clock.now());
+        if (!this.frequency.has(key)) this.frequency.set(key, 0);
+        this._evictionIndex.touch(key, this.priorityMap.get(key) || 0);
+
+        if (typeof defaultTTL === "number" && defaultTTL > 0) {
+            if (staleTTL > 0) this.staleWindows.set(key, staleTTL);
+            else this.staleWindows.delete(key);
+            this._setExpiry(key, this.clock.now() + defaultTTL, defaultTTL);
+            if (sliding) this.slidingKeys.add(key);
+            else this.slidingKeys.delete(key);
+        } else {
+            this._setExpiry(key);
+        }
+
+        for (const tag of this.keyTags.get(key) || []) this._unlinkTag(key, tag); // tags of the previous value
+        this.keyTags.set(key, new Set());
+        for (const tag of tags) this._linkTag(key, String(tag));
+
+        this._customStrategy?.onInsert?.(key, this._entryView(key));
+        this.emit("set", { key, value, ttl: defaultTTL, tags, priority });
+        return this;
+    }
+
+    /**
+     * Get a value from the cache.
+     * @param {any} key - The key to retrieve.
+     * @returns {any | undefined}
+     * @example
+     * cache.get("user:1"); // { id: 1, name: "Alice" }
+     */
+    get(key) {
+        if (!this.store.has(key)) {
+            this.misses++;
+            this._evictionIndex.miss(key);
+            this.emit("get", { key, hit: false });
+            return undefined;
+        }
+
+        const ttl = this.ttlMap.get(key);
+        const now = this.clock.now();
+        if ((ttl && now > this._deadline(key)) || this._isInvalidated(key)) {
+            this._expireKey(key);
+            this.misses++;
+            this._evictionIndex.miss(key);
+            this.emit("get", { key, hit: false });
+            return undefined;
+        }
+
+        // Past the TTL but inside the stale window: serve the old value and refresh it
+        const stale = !!ttl && now > ttl;
+
+        if (this.slidingKeys.has(key) && !stale) {
+            this._setExpiry(key, this.clock.now() + (this.ttlDurations.get(key) || 0));
+        }
+
+        if (this.updateOnGet) {
+            this.meta.set(key, this.clock.now());
+            this._evictionIndex.touch(key);
+        }
+
+        this.hits++;
+        this._recordAccess(key);
+        const value = this.store.get(key);
+
+        if (stale) {
+            this.emit("stale", { key, value });
+            this._refresh(key, value);
+        } else if (this.refreshAhead && this.ttlDurations.has(key)) {
+            const duration = this.ttlDurations.get(key) || 0;
+            const expireAt = this.ttlMap.get(key) || 0;
+            if (now >= expireAt - duration * (1 - this.refreshAhead)) this._refresh(key, value);
+        }
+
+        this.emit("get", { key, hit: true, value, stale });
+        return this.cloneOnGet ? this._clone(value) : value;
+    }
+
+    /**
+     * Returns all values associated with the given tag (or tag pattern like `"guild:*"`).
+     * @param {string} tag
+     * @returns {Array<any>}
+     */
+    getByTag(tag) {
+        return [...this._keysForTag(tag)].map(k => this.get(k)).filter(v => v !== undefined);
+    }
+
+    /**
+     * Check if a key exists in the cache.
+     * @param {any} key
+     * @returns {boolean}
+     * @example
+     * cache.has("user:1"); // true
+     */
+    has(key) {
+        const exists = this.store.has(key);
+        const ttl = this.ttlMap.get(key);
+        if (!exists || (ttl && this.clock.now() > this._deadline(key)) || this._isInvalidated(key)) {
+            if (exists) this._expireKey(key);
+            else this.delete(key);
+            this.emit("has", { key, found: false });
+            return false;
+        }
+
+        if (this.updateOnHas) {
+            this.meta.set(key, this.clock.now());
+            this._evictionIndex.touch(key);
+        }
+
+        this._recordAccess(key);
+        this.emit("has", { key, found: true });
+        return true;
+    }
+
+
+    /**
+     * Delete a key from the cache.
+     * @param {any} key
+     * @returns {boolean}
+     * @example
+     * cache.delete("user:1"); // true
+     */
+    delete(key) {
+        if (this.protectedKeys.has(key)) return false;
+
+        this._recordUndo(key);
+        const existed = this.store.delete(key);
+        this._keyRevisions.delete(key);
+        this.meta.delete(key);
+        this.frequency.delete(key);
+        this._setExpiry(key);
+        this.priorityMap.delete(key);
+        this._evictionIndex.remove(key);
+        this._setSize(key, 0);
+
+        for (const tag of this.keyTags.get(key) || []) this._unlinkTag(key, tag);
+        this.keyTags.delete(key);
+        this._tagLinks.delete(key);
+
+        if (existed) this._customStrategy?.onDelete?.(key);
+        this.emit("delete", { key, success: existed });
+        return existed;
+    }
+
+    /**
+     * Deletes all entries associated with the given tag (or tag pattern like `"guild:123:*"`).
+     * A tag stored with a `*` in it (like `"*"`) is matched literally, not as a pattern.
+     * @param {string} tag
+     * @returns {number} - Number of deleted entries.
+     */
+    deleteByTag(tag) {
+        let deleted = 0;
+        for (const key of [...this._keysForTag(tag)]) {
+            if (this.delete(key)) deleted++;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Returns the tags of an entry.
+     * @param {any} key
+     * @returns {string[]} - Empty when the key is missing or expired
+     * @example
+     * cache.getTags("user:1"); // ["users", "premium"]
+     */
+    getTags(key) {
+        if (!this._isLive(key)) return [];
+        return [...(this.keyTags.get(key) || [])];
+    }
+
+    /**
+     * Adds tags to an entry without rewriting it, so its TTL, priority and access time are kept.
+     * Emits `tag` with the tags that were not there yet.
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists
+     * @example
+     * cache.addTags("user:1", ["premium"]);
+     */
+    addTags(key, tags) {
+        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+        if (!this._isLive(key)) return false;
+
+        this._recordUndo(key);
+        const current = this.keyTags.get(key);
+        const added = [...new Set(tags.map(String))].filter(tag => !current?.has(tag));
+        for (const tag of added) this._linkTag(key, tag);
+
+        if (added.length) this.emit("tag", { key, tags: added });
+        return true;
+    }
+
+    /**
+     * Removes tags from an entry without rewriting it. Emits `untag` with the tags that were removed.
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists
+     * @example
+     * cache.removeTags("user:1", ["trial"]);
+     */
+    removeTags(key, tags) {
+        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+        if (!this._isLive(key)) return false;
+
+        this._recordUndo(key);
+        const current = this.keyTags.get(key);
+        const removed = [...new Set(tags.map(String))].filter(tag => current?.has(tag));
+        for (const tag of removed) this._unlinkTag(key, tag);
+
+        if (removed.length) this.emit("untag", { key, tags: removed });
+        return true;
+    }
+
+    /**
+     * Replaces all tags of an entry without rewriting it, emitting `tag`/`untag` for the difference.
+     * @param {any} key
+     * @param {string[]} tags
+     * @returns {boolean} - Whether the key exists
+     * @example
+     * cache.setTags("user:1", ["users", "premium"]);
+     */
+    setTags(key, tags) {
+        if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+        if (!this._isLive(key)) return false;
+
+        const next = new Set(tags.map(String));
+        this.removeTags(key, this.getTags(key).filter(tag => !next.has(tag)));
+        return this.addTags(key, [...next]);
+    }
+
+    /**
+     * Renames a tag on every entry carrying it, merging into `newTag` if it already exists.
+     * Emits `untag` and `tag` for every entry.
+     * @param {string} oldTag
+     * @param {string} newTag
+     * @returns {number} - Number of retagged entries
+     * @example
+     * cache.renameTag("vip", "premium");
+     */
+    renameTag(oldTag, newTag) {
+        if (typeof oldTag !== "string" || typeof newTag !== "string") throw new CacheError("Tags must be strings.");
+        if (oldTag === newTag) return 0;
+
+        this._purgeTag(oldTag); // invalidated entries must not come back under the new tag
+        const keys = [...(this.tagMap.get(oldTag) || [])].filter(key => !this._isInvalidated(key));
+        for (const key of keys) {
+            this._recordUndo(key);
+            this._unlinkTag(key, oldTag);
+            this.emit("untag", { key, tags: [oldTag] });
+            if (!this.keyTags.get(key)?.has(newTag)) {
+                this._linkTag(key, newTag);
+                this.emit("tag", { key, tags: [newTag] });
+            }
+        }
+        return keys.length;
+    }
+
+    /**
+     * Invalidates every entry carrying a tag (or a tag pattern like `"guild:*"`) in O(1) per tag by moving
+     * the tag to a new generation. Entries linked under an older generation become misses on access and
+     * are removed by `prune()`, evictions also take them first (a few at a time).
+     * Entries tagged afterwards are not affected. Emits `invalidate`.
+     * @param {string} tag
+     * @returns {number} - Number of invalidated tags
+     * @example
+     * cache.invalidateTag("users"); // every "users" entry is gone, without walking them
+     */
+    invalidateTag(tag) {
+        if (typeof tag !== "string") throw new CacheError("Tags must be strings.");
+
+        const tags = this.tags(tag);
+        for (const name of tags) {
+            const generation = (this._tagGenerations.get(name) || 0) + 1;
+            this._tagGenerations.set(name, generation);
+            this._deadLinks.set(name, this.tagMap.get(name)?.size || 0); // every member is older now
+            this.emit("invalidate", { tag: name, generation });
+        }
+        return tags.length;
+    }
+
+    /**
+     * Bounds the lifetime of every entry carrying a tag (or a tag pattern): once `ttl` passes the tag is
+     * invalidated as with `invalidateTag()`. Entries keep their own TTL if it is shorter.
+     * Calling it again replaces the deadline of the tag.
+     * @param {string} tag
+     * @param {number} ttl - Time to live of the tag in milliseconds
+     * @returns {number} - Number of tags that got a deadline
+     * @example
+     * cache.expireTag("session:42", 60000); // the whole session is gone in a minute
+     */
+    expireTag(tag, ttl) {
+        if (typeof tag !== "string") throw new CacheError("Tags must be strings.");
+        if (typeof ttl !== "number" || ttl <= 0) throw new CacheError("`ttl` must be a positive number.");
+
+        const tags = this.tags(tag);
+        for (const name of tags) this._tagDeadlines.set(name, this.clock.now() + ttl);
+        return tags.length;
+    }
+
+    /**
+     * Returns the keys matching a tag query, without counting as an access.
+     * A query is either an object (`all`: every tag, `any`: at least one, `none`: none of them)
+     * or an expression string using `&`, `|`, `!` and parentheses. An empty `any` matches nothing.
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {any[]}
+     * @example
+     * cache.queryTags({ all: ["user", "premium"], none: ["banned"] });
+     * cache.queryTags("user & premium & !banned");
+     */
+    queryTags(query) {
+        const keys = this._evaluateTagQuery(this._parseTagQuery(query));
+        return [...keys].filter(key => this._isLive(key));
+    }
+
+    /**
+     * Returns the values of all entries matching a tag query (see `queryTags`).
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {any[]}
+     * @example
+     * cache.getByTags("user & !banned");
+     */
+    getByTags(query) {
+        return this.queryTags(query).map(key => this.get(key)).filter(value => value !== undefined);
+    }
+
+    /**
+     * Deletes all entries matching a tag query (see `queryTags`).
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {number} - Number of deleted entries
+     */
+    deleteByTags(query) {
+        return this.queryTags(query).filter(key => this.delete(key)).length;
+    }
+
+    /**
+     * Counts the entries matching a tag query (see `queryTags`).
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {number}
+     */
+    countByTags(query) {
+        return this.queryTags(query).length;
+    }
+
+    /**
+     * Protects all entries matching a tag query (see `queryTags`) from being deleted or evicted.
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {number} - Number of protected entries
+     */
+    protectByTags(query) {
+        const keys = this.queryTags(query);
+        for (const key of keys) this.protect(key);
+        return keys.length;
+    }
+
+    /**
+     * Renames a key while preserving its value and metadata (tags, ttl, etc.)
+     * @param {any} oldKey
+     * @param {any} newKey
+     * @returns {boolean} - Whether the rename was successful
+     * @example
+     * cache.rename("u:1", "user:1");
+     */
+    rename(oldKey, newKey) {
+        if (this.protectedKeys.has(oldKey) || this.protectedKeys.has(newKey)) return false;
+        if (!this.store.has(oldKey) || this.store.has(newKey)) return false;
+
+        const value = this.store.get(oldKey);
+        const meta = this.meta.get(oldKey);
+        const frequency = this.frequency.get(oldKey);
+        const priority = this.priorityMap.get(oldKey);
+        const ttl = this.ttlMap.get(oldKey);
+        const ttlDuration = this.ttlDurations.get(oldKey);
+        const sliding = this.slidingKeys.has(oldKey);
+        const staleWindow = this.staleWindows.get(oldKey);
+        const tags = this.keyTags.get(oldKey);
+        const links = this._tagLinks.get(oldKey);
+
+        // Move the entry in place: the key count does not change, so nothing has to be evicted
+        this._recordUndo(newKey);
+        this.store.set(newKey, value);
+        this._keyRevisions.set(newKey, ++this._revision);
+        this.meta.set(newKey, meta || this.clock.now());
+        this.frequency.set(newKey, frequency || 0);
+        if (typeof priority === "number") this.priorityMap.set(newKey, priority);
+        this._evictionIndex.rename(oldKey, newKey); // keep the eviction position of the old key
+        this._setSize(newKey, this.sizeMap.get(oldKey) || 0);
+        if (staleWindow) this.staleWindows.set(newKey, staleWindow);
+        if (ttl) this._setExpiry(newKey, ttl, ttlDuration);
+        if (sliding) this.slidingKeys.add(newKey);
+        if (tags) {
+            this.keyTags.set(newKey, new Set());
+            for (const tag of tags) this._linkTag(newKey, tag, links?.get(tag)); // an invalidated entry stays invalidated
+        }
+
+        this._customStrategy?.onInsert?.(newKey, this._entryView(newKey));
+        this.emit("set", { key: newKey, value, ttl: ttl ? ttl - this.clock.now() : undefined, tags: tags ? [...tags] : [], priority: priority || 0 });
+        this.delete(oldKey);
+        return true;
+    }
+
+    /**
+     * Protects a key from being deleted or evicted.
+     * @param {any} key - The key to protect.
+     * @returns {this}
+     * @example
+     * cache.protect("user:1"); // Protects the key "user:1" from deletion
+     */
+    protect(key) {
+        if (this.store.has(key)) this.protectedKeys.add(key);
+        return this;
+    }
+
+    /**
+     * Unprotects a key, allowing it to be deleted or evicted.
+     * @param {any} key - The key to unprotect.
+     * @returns {this}
+     * @example
+     * cache.unprotect("user:1"); // Unprotects the key "user:1"
+     */
+    unprotect(key) {
+        if (this.store.has(key)) this.protectedKeys.delete(key);
+        return this;
+    }
+
+    /**
+     * Checks if a key is protected from deletion or eviction.
+     * @param {any} key - The key to check.
+     * @returns {boolean} - Whether the key is protected.
+     * @example
+     * cache.isProtected("user:1"); // true or false
+     */
+    ifProtected(key) {
+        return this.protectedKeys.has(key);
+    }
+
+    /**
+     * Removes all data from the cache, including metadata, TTLs, and tags.
+     * @returns {void}
+     * @example
+     * cache.flush();
+     */
+    flush() {
+        if (this._customStrategy?.onDelete) {
+            for (const key of this.store.keys()) this._customStrategy.onDelete(key);
+        }
+
+        this.store.clear();
+        this.meta.clear();
+        this.frequency.clear();
+        this._hitsSinceDecay = 0;
+        this.ttlMap.clear();
+        this.ttlDurations.clear();
+        this.slidingKeys.clear();
+        this.staleWindows.clear();
+        this._keyRevisions.clear();
+        this._failures.clear();
+        this._expiryHeap.clear();
+        this._scheduleExpiry();
+        this.tagMap.clear();
+        this.keyTags.clear();
+        this._tagTrie.clear();
+        this._tagGenerations.clear();
+        this._tagLinks.clear();
+        this._tagDeadlines.clear();
+        this._deadLinks.clear();
+        this._deadScan = null;
+        this.priorityMap.clear();
+        this._evictionIndex.clear();
+        this.sizeMap.clear();
+        this.totalSize = 0;
+
+        this.emit("flush", {});
+    }
+
+    /**
+     * Returns the remaining time-to-live (TTL) in milliseconds for a given key.
+     * If no TTL is set or the key is expired/missing, returns -1.
+     * @param {any} key
+     * @returns {number} Remaining TTL in milliseconds or -1 if none.
+     * @example
+     * const timeLeft = cache.ttl("user:123"); // e.g., 4242 ms
+     */
+    ttlExpire(key) {
+        const expireAt = this.ttlMap.get(key);
+        if (!this.store.has(key) || !expireAt) return -1;
+
+        const now = this.clock.now();
+        return expireAt > now ? expireAt - now : -1;
+    }
+
+
+    /**
+     * Removes expired entries from the cache.
+     * Only the due part of the expiry index is visited, and an `expire` event is emitted for every removed entry.
+     * @returns {number} - Number of removed entries.
+     * @example
+     * cache.prune(); // 3
+     */
+    prune() {
+        const removed = this._removeDead();
+
+        this.emit("prune", { removed });
+        return removed;
+    }
+
+    /**
+     * Starts an interval that automatically prunes expired entries.
+     * @param {number} intervalMs - Interval in milliseconds.
+     * @returns {this}
+     * @example
+     * cache.autoPrune(10000); // every 10 seconds
+     */
+    autoPrune(intervalMs) {
+        if (typeof intervalMs !== "number" || intervalMs <= 0) {
+            throw new CacheError("autoPrune interval must be a positive number (ms).");
+        }
+
+        this.stopAutoPrune(); // temiz başla
+
+        this._autoPruneIntervalId = this.clock.setInterval(() => {
+            const removed = this.prune?.(); // varsa çağır
+            this.emit("autoPrune", { removed });
+        }, intervalMs);
+
+        return this;
+    }
+
+    /**
+     * Stops the automatic prune interval if it's running.
+     * @returns {this}
+     */
+    stopAutoPrune() {
+        if (this._autoPruneIntervalId) {
+            this.clock.clearInterval(this._autoPruneIntervalId);
+            this._autoPruneIntervalId = null;
+        }
+        return this;
+    }
+
+
+    // #endregion
+
+    // #region Batch Methods
+    /**
+     * Sets many entries as one unit: eviction runs once for the whole batch, and nothing is written
+     * if `overWrite` is disabled and one of the keys already exists.
+     * @param {Iterable<[any, any] | [any, any, Object]> | Record<string, any>} entries - `[key, value]` pairs (optionally with per-entry `set()` options) or a plain object
+     * @param {Object} [options={}] - `set()` options shared by every entry
+     * @returns {boolean[]} - Whether each entry was written
+     * @throws {CacheError} If the batch alone does not fit in `limit`/`maxSize`.
+     * @example
+     * cache.mset([["a", 1], ["b", 2, { ttl: 1000 }]], { tags: ["letters"] }); // [true, true]
+     */
+    mset(entries, options = {}) {
+        if (!entries || typeof entries !== "object") throw new CacheError("`entries` must be an iterable of [key, value] pairs or an object.");
+
+        /** @type {Array<[any, any, Object]>} */
+        const list = [];
+        const pairs = Symbol.iterator in entries ? /** @type {Iterable<any>} */ (entries) : Object.entries(entries);
+        for (const entry of pairs) {
+            if (!Array.isArray(entry)) throw new CacheError("Every entry must be a [key, value] pair.");
+            list.push([entry[0], entry[1], { ...options, ...entry[2] }]);
+        }
+        const keys = list.map(([key]) => key);
+
+        /** @type {Map<any, number>} */
+        const writes = new Map();
+        for (const [key, value, entryOptions] of list) {
+            const { tags = [], staleTTL = this.staleTTL } = /** @type {any} */ (entryOptions);
+            if (!Array.isArray(tags)) throw new CacheError("`tags` must be an array of strings.");
+            if (typeof staleTTL !== "number" || staleTTL < 0) throw new CacheError("`staleTTL` must be a non-negative number.");
+
+            const entrySize = this._calculateSize(key, value, /** @type {any} */ (entryOptions).size);
+            if (entrySize > this.maxSize) {
+                throw new CacheError(`Entry size (${entrySize}) exceeds \`maxSize\` (${this.maxSize}).`);
+            }
+            writes.set(key, entrySize);
+        }
+
+        let batchSize = 0;
+        for (const entrySize of writes.values()) batchSize += entrySize;
+        if (writes.size > this.limit || batchSize > this.maxSize) {
+            throw new CacheError(`Batch of ${writes.size} entries does not fit in \`limit\`/\`maxSize\`.`);
+        }
+
+        if (!this.overWrite && keys.some(key => this.store.has(key))) {
+            const results = keys.map(() => false);
+            this.emit("batch", { operation: "mset", keys, results });
+            return results;
+        }
+
+        this._makeRoom(writes);
+        for (const [key, , entryOptions] of list) {
+            const { priority = 0 } = /** @type {any} */ (entryOptions);
+            if (typeof priority === "number") this.priorityMap.set(key, priority);
+        }
+
+        for (const [key, value, entryOptions] of list) this.set(key, value, entryOptions);
+
+        const results = keys.map(() => true);
+        this.emit("batch", { operation: "mset", keys, results });
+        return results;
+    }
+
+    /**
+     * Gets many values at once. Every key counts as a separate hit or miss.
+     * @param {any[]} keys
+     * @returns {any[]} - Values in the order of `keys`, `undefined` for missing ones
+     * @example
+     * cache.mget(["a", "b", "missing"]); // [1, 2, undefined]
+     */
+    mget(keys) {
+        if (!Array.isArray(keys)) throw new CacheError("`keys` must be an array.");
+
+        const results = keys.map(key => this.get(key));
+        this.emit("batch", { operation: "mget", keys, results });
+        return results;
+    }
+
+    /**
+     * Deletes many keys as one unit: if one of them is protected, nothing is deleted.
+     * @param {any[]} keys
+     * @returns {boolean[]} - Whether each key was deleted
+     * @example
+     * cache.mdelete(["a", "b"]); // [true, true]
+     */
+    mdelete(keys) {
+        if (!Array.isArray(keys)) throw new CacheError("`keys` must be an array.");
+
+        const results = keys.some(key => this.protectedKeys.has(key))
+            ? keys.map(() => false)
+            : keys.map(key => this.delete(key));
+
+        this.emit("batch", { operation: "mdelete", keys, results });
+        return results;
+    }
+
+    /**
+     * Checks many keys at once.
+     * @param {any[]} keys
+     * @returns {boolean[]} - Whether each key exists and is not expired
+     * @example
+     * cache.mhas(["a", "missing"]); // [true, false]
+     */
+    mhas(keys) {
+        if (!Array.isArray(keys)) throw new CacheError("`keys` must be an array.");
+
+        const results = keys.map(key => this.has(key));
+        this.emit("batch", { operation: "mhas", keys, results });
+        return results;
+    }
+
+    // #endregion
+
+    // #region Updates
+    /**
+     * Replaces the value of a key with `updater(value)`, keeping its TTL, tags, priority, protection and access stats.
+     * Emits `set` and `update` (with the old and new value).
+     * @param {any} key
+     * @param {(value: any, meta: EntryView) => any} updater - Returns the new value
+     * @returns {{ success: boolean, value: any, version: number }} - `success` is false when the key is missing or expired
+     * @example
+     * cache.update("user:1", user => ({ ...user, visits: user.visits + 1 }));
+     */
+    update(key, updater) {
+        if (typeof updater !== "function") throw new CacheError("`updater` must be a function.");
+
+        const meta = this.getMeta(key);
+        if (!meta) {
+            if (this.store.has(key)) this._expireKey(key);
+            return { success: false, value: undefined, version: 0 };
+        }
+
+        const oldValue = meta.value;
+        const value = updater(oldValue, meta);
+        this._replaceValue(key, value);
+
+        this.emit("update", { key, oldValue, newValue: value });
+        return { success: true, value, version: this._keyRevisions.get(key) || 0 };
+    }
+
+    /**
+     * Merges fields into an object value, keeping the entry's metadata like `update()`.
+     * @param {any} key
+     * @param {Record<string, any>} partial - Fields to merge
+     * @param {Object} [options={}]
+     * @param {boolean} [options.deep=false] - Merge nested plain objects instead of replacing them
+     * @returns {{ success: boolean, value: any, version: number }} - `success` is false when the key is missing or expired
+     * @throws {CacheError} If the stored value is not a plain object.
+     * @example
+     * cache.patch("user:1", { settings: { theme: "dark" } }, { deep: true });
+     */
+    patch(key, partial, options = {}) {
+        if (!valueTypes.hash(partial)) throw new CacheError("`partial` must be a plain object.");
+        const { deep = false } = options;
+
+        return this.update(key, value => {
+            if (!valueTypes.hash(value)) throw new CacheError(`Value of key "${String(key)}" is not a hash.`);
+            return deep ? deepMerge(value, partial) : { ...value, ...partial };
+        });
+    }
+
+    // #endregion
+
+    // #region Typed Values
+    /**
+     * Increments a number by 1, starting from 0 when the key is missing. TTL, tags and priority are kept.
+     * @param {any} key
+     * @returns {number} - New value
+     * @throws {CacheError} If the key holds something else than a number.
+     * @example
+     * cache.incr("visits"); // 1
+     */
+    incr(key) {
+        return this.incrBy(key, 1);
+    }
+
+    /**
+     * Decrements a number by 1, starting from 0 when the key is missing. TTL, tags and priority are kept.
+     * @param {any} key
+     * @returns {number} - New value
+     * @throws {CacheError} If the key holds something else than a number.
+     */
+    decr(key) {
+        return this.incrBy(key, -1);
+    }
+
+    /**
+     * Adds `amount` to a number, starting from 0 when the key is missing. TTL, tags and priority are kept.
+     * @param {any} key
+     * @param {number} amount
+     * @returns {number} - New value
+     * @throws {CacheError} If the key holds something else than a number.
+     * @example
+     * cache.incrBy("credits", -5); // 95
+     */
+    incrBy(key, amount) {
+        if (typeof amount !== "number" || !Number.isFinite(amount)) throw new CacheError("`amount` must be a finite number.");
+
+        const value = (this._typedValue(key, "number") || 0) + amount;
+        this._writeTyped(key, value);
+        return value;
+    }
+
+    /**
+     * Prepends values to a list (the last argument ends up first, like Redis), creating it when missing.
+     * @param {any} key
+     * @param {...any} values
+     * @returns {number} - New length of the list
+     * @throws {CacheError} If the key holds something else than an array.
+     * @example
+     * cache.lpush("jobs", "b", "a"); // 2, list is ["a", "b"]
+     */
+    lpush(key, ...values) {
+        const list = [...values.reverse(), ...(this._typedValue(key, "list") || [])];
+        this._writeTyped(key, list);
+        return list.length;
+    }
+
+    /**
+     * Appends values to a list, creating it when missing.
+     * @param {any} key
+     * @param {...any} values
+     * @returns {number} - New length of the list
+     * @throws {CacheError} If the key holds something else than an array.
+     */
+    rpush(key, ...values) {
+        const list = [...(this._typedValue(key, "list") || []), ...values];
+        this._writeTyped(key, list);
+        return list.length;
+    }
+
+    /**
+     * Removes and returns the first element of a list.
+     * @param {any} key
+     * @returns {any} - Removed element, `undefined` if the list is empty or missing
+     * @throws {CacheError} If the key holds something else than an array.
+     */
+    lpop(key) {
+        const current = this._typedValue(key, "list");
+        if (!current?.length) return undefined;
+
+        const [first, ...rest] = current;
+        this._writeTyped(key, rest);
+        return first;
+    }
+
+    /**
+     * Returns the elements of a list between two indexes (both inclusive, negative ones count from the end).
+     * @param {any} key
+     * @param {number} [start=0]
+     * @param {number} [stop=-1]
+     * @returns {any[]}
+     * @throws {CacheError} If the key holds something else than an array.
+     * @example
+     * cache.lrange("jobs", 0, -1); // whole list
+     */
+    lrange(key, start = 0, stop = -1) {
+        const list = this._typedValue(key, "list") || [];
+        const from = start < 0 ? Math.max(list.length + start, 0) : start;
+        const to = stop < 0 ? list.length + stop : stop;
+        if (to < from) return []; // also a negative stop before the first element
+        return list.slice(from, to + 1);
+    }
+
+    /**
+     * Adds members to a set, creating it when missing.
+     * @param {any} key
+     * @param {...any} members
+     * @returns {number} - Number of members that were not in the set yet
+     * @throws {CacheError} If the key holds something else than a Set.
+     * @example
+     * cache.sadd("online", "u1", "u2"); // 2
+     */
+    sadd(key, ...members) {
+        const set = new Set(this._typedValue(key, "set"));
+        const before = set.size;
+        for (const member of members) set.add(member);
+
+        this._writeTyped(key, set);
+        return set.size - before;
+    }
+
+    /**
+     * Removes members from a set.
+     * @param {any} key
+     * @param {...any} members
+     * @returns {number} - Number of members that were removed
+     * @throws {CacheError} If the key holds something else than a Set.
+     */
+    srem(key, ...members) {
+        const current = this._typedValue(key, "set");
+        if (!current) return 0;
+
+        const set = new Set(current);
+        for (const member of members) set.delete(member);
+
+        const removed = current.size - set.size;
+        if (removed) this._writeTyped(key, set);
+        return removed;
+    }
+
+    /**
+     * Returns the members of a set.
+     * @param {any} key
+     * @returns {any[]}
+     * @throws {CacheError} If the key holds something else than a Set.
+     */
+    smembers(key) {
+        return [...(this._typedValue(key, "set") || [])];
+    }
+
+    /**
+     * Sets one field, or several fields from an object, of a hash (plain object), creating it when missing.
+     * @param {any} key
+     * @param {string | number | Record<string, any>} field - Field name (numbers are turned into strings), or an object of fields
+     * @param {any} [value]
+     * @returns {number} - Number of fields that did not exist yet
+     * @throws {CacheError} If the key holds something else than a plain object.
+     * @example
+     * cache.hset("user:1", "name", "Alice"); // 1
+     * cache.hset("user:1", { age: 30, city: "Paris" }); // 2
+     */
+    hset(key, field, value) {
+        const fields = typeof field === "string" || typeof field === "number" ? { [String(field)]: value } : field;
+        if (!fields || typeof fields !== "object") throw new CacheError("`field` must be a string, a number or an object of fields.");
+
+        const hash = { ...this._typedValue(key, "hash") };
+
+        let added = 0;
+        for (const [name, fieldValue] of Object.entries(fields)) {
+            if (!Object.prototype.hasOwnProperty.call(hash, name)) added++;
+            hash[name] = fieldValue;
+        }
+
+        this._writeTyped(key, hash);
+        return added;
+    }
+
+    /**
+     * Returns one field of a hash.
+     * @param {any} key
+     * @param {string | number} field
+     * @returns {any}
+     * @throws {CacheError} If the key holds something else than a plain object.
+     */
+    hget(key, field) {
+        const hash = this._typedValue(key, "hash");
+        return hash && Object.prototype.hasOwnProperty.call(hash, field) ? hash[field] : undefined;
+    }
+
+    /**
+     * Returns a copy of all fields of a hash.
+     * @param {any} key
+     * @returns {Record<string, any>}
+     * @throws {CacheError} If the key holds something else than a plain object.
+     */
+    hgetall(key) {
+        return { ...this._typedValue(key, "hash") };
+    }
+
+    /**
+     * Returns the live value of a key after checking its type, `undefined` if it is missing or expired.
+     * @param {any} key
+     * @param {"number" | "list" | "set" | "hash"} type
+     * @returns {any}
+     * @private
+     */
+    _typedValue(key, type) {
+        if (this.store.has(key) && !this._isLive(key)) this._expireKey(key);
+        if (!this.store.has(key)) return undefined;
+
+        const value = this.store.get(key);
+        if (!valueTypes[type](value)) {
+            throw new CacheError(`Value of key "${String(key)}" is not a ${type}.`);
+        }
+        return value;
+    }
+
+    /**
+     * Stores the result of a typed operation: existing entries keep their metadata, missing ones are created.
+     * @param {any} key
+     * @param {any} value
+     * @returns {void}
+     * @private
+     */
+    _writeTyped(key, value) {
+        if (this.store.has(key)) this._replaceValue(key, value);
+        else this.set(key, value);
+    }
+
+    /**
+     * Replaces the value of an existing entry, keeping its TTL, tags, priority, protection and access stats.
+     * Other entries are evicted if the new value is heavier.
+     * @param {any} key
+     * @param {any} value
+     * @returns {void}
+     * @private
+     */
+    _replaceValue(key, value) {
+        const entrySize = this._calculateSize(key, value);
+        if (entrySize > this.maxSize) {
+            throw new CacheError(`Entry size (${entrySize}) exceeds \`maxSize\` (${this.maxSize}).`);
+        }
+
+        this._recordUndo(key);
+
+        // The entry itself is never a victim of making room for its new weight
+        this._makeRoom(new Map([[key, entrySize]]));
+        this._enforceSharedBudget(key, entrySize);
+
+        this.store.set(key, value);
+        this._keyRevisions.set(key, ++this._revision);
+        this._setSize(key, entrySize);
+
+        const expireAt = this.ttlMap.get(key);
+        this._customStrategy?.onInsert?.(key, this._entryView(key));
+        this.emit("set", {
+            key,
+            value,
+            ttl: expireAt ? expireAt - this.clock.now() : undefined,
+            tags: [...(this.keyTags.get(key) || [])],
+            priority: this.priorityMap.get(key) || 0
+        });
+    }
+
+    // #endregion
+
+    // #region Transactions
+    /**
+     * Runs `fn` with a transaction that stages `set`, `delete`, `rename` and `deleteByTag` calls and commits them together
+     * once `fn` returns (or its promise resolves). If `fn` throws nothing is applied; if applying fails, every changed
+     * key is restored. Events are emitted only after a successful commit.
+     * Keys passed to `tx.watch()` make the commit fail with a `CacheError` when they were changed outside of the transaction.
+     * @template T
+     * @param {(tx: Transaction) => T} fn
+     * @returns {T} - Return value of `fn` (a promise for async functions)
+     * @example
+     * cache.transaction(tx => {
+     *     tx.watch("user:1");
+     *     const user = tx.get("user:1");
+     *     tx.set("user:1", { ...user, email: "new@mail.com" });
+     *     tx.delete(`email:${user.email}`);
+     *     tx.set("email:new@mail.com", "user:1");
+     * });
+     */
+    transaction(fn) {
+        if (typeof fn !== "function") throw new CacheError("`fn` must be a function.");
+
+        const tx = new Transaction(this, {
+            revision: key => this._keyRevisions.get(key),
+            isLive: key => this._isLive(key),
+            value: key => {
+                if (!this._isLive(key)) return undefined;
+                const value = this.store.get(key);
+                return this.cloneOnGet ? this._clone(value) : value;
+            },
+            isProtected: key => this.store.has(key) && this.protectedKeys.has(key),
+            entry: key => ({ value: this.store.get(key), tags: [...(this.keyTags.get(key) || [])] }),
+            taggedKeys: tag => [...this._keysForTag(tag)],
+            tagMatches: (tag, pattern) => tag === pattern || (this._isTagPattern(pattern) && this._tagTrie.matches(tag, pattern))
+        });
+        const result = fn(tx);
+
+        if (result instanceof Promise) {
+            return /** @type {T} */ (/** @type {unknown} */ (result.then(value => {
+                this._commit(tx);
+                return value;
+            })));
+        }
+
+        this._commit(tx);
+        return result;
+    }
+
+    /**
+     * Applies the staged operations of a transaction, or restores every touched key if one of them fails.
+     * @param {Transaction} tx
+     * @returns {void}
+     * @private
+     */
+    _commit(tx) {
+        for (const [key, revision] of tx.watched) {
+            if (this._keyRevisions.get(key) !== revision) {
+                throw new CacheError(`Transaction aborted: watched key "${String(key)}" was modified.`);
+            }
+        }
+        if (!tx.operations.length) return;
+
+        // Namespaces forward their events to the top-level cache
+        /** @type {AlisaCache} */
+        let events = this;
+        while (events._parent) events = events._parent;
+
+        const { hits, misses, evictions } = this;
+        // A callback (size calculation, strategy, loader) can commit another transaction while this one is applied
+        const outerJournal = this._journal;
+        const deferred = events._deferredEvents;
+        const emitted = deferred || [];
+        const emittedBefore = emitted.length;
+        const journal = new Map();
+        events._deferredEvents = emitted;
+        this._journal = journal;
+
+        try {
+            try {
+                for (const [method, args] of tx.operations) {
+                    const result = /** @type {any} */ (this)[method](...args);
+                    if (method === "delete" && result === false && !this.store.has(args[0])) continue; // already gone, nothing to undo
+                    if (result === false) throw new CacheError(`Transaction failed: \`${method}\` could not be applied to "${String(args[0])}".`);
+                }
+            } catch (error) {
+                this._journal = null;
+                for (const [key, state] of journal) this._restoreEntry(key, state);
+                this.hits = hits;
+                this.misses = misses;
+                this.evictions = evictions;
+                emitted.length = emittedBefore; // events of the rolled back operations are dropped
+                throw error;
+            }
+
+            // The outer commit must be able to undo these changes too
+            for (const [key, state] of journal) {
+                if (outerJournal && !outerJournal.has(key)) outerJournal.set(key, state);
+            }
+        } finally {
+            this._journal = outerJournal;
+            events._deferredEvents = deferred;
+        }
+
+        if (deferred) return; // an outer commit emits them
+        for (const [event, payload] of emitted) events.emit(event, payload);
+    }
+
+    /**
+     * Remembers the state of a key the first time it changes during a commit.
+     * @param {any} key
+     * @returns {void}
+     * @private
+     */
+    _recordUndo(key) {
+        if (!this._journal || this._journal.has(key)) return;
+        if (!this.store.has(key)) {
+            this._journal.set(key, null);
+            return;
+        }
+
+        this._journal.set(key, {
+            value: this.store.get(key),
+            meta: this.meta.get(key),
+            frequency: this.frequency.get(key),
+            priority: this.priorityMap.get(key),
+            expireAt: this.ttlMap.get(key),
+            duration: this.ttlDurations.get(key),
+            sliding: this.slidingKeys.has(key),
+            staleWindow: this.staleWindows.get(key),
+            tags: [...(this.keyTags.get(key) || [])],
+            links: [...(this._tagLinks.get(key) || [])],
+            size: this.sizeMap.get(key) || 0,
+            revision: this._keyRevisions.get(key),
+            protected: this.protectedKeys.has(key)
+        });
+    }
+
+    /**
+     * Puts a key back in the state recorded by `_recordUndo` without evicting anything.
+     * @param {any} key
+     * @param {any} state - Recorded state, `null` if the key did not exist
+     * @returns {void}
+     * @private
+     */
+    _restoreEntry(key, state) {
+        this.protectedKeys.delete(key);
+        if (this.store.has(key)) this.delete(key);
+        if (!state) return;
+
+        this.store.set(key, state.value);
+        this.meta.set(key, state.meta);
+        this.frequency.set(key, state.frequency || 0);
+        if (typeof state.priority === "number") this.priorityMap.set(key, state.priority);
+        this._evictionIndex.touch(key, state.priority || 0);
+        this._setSize(key, state.size);
+        if (state.staleWindow) this.staleWindows.set(key, state.staleWindow);
+        if (state.expireAt) this._setExpiry(key, state.expireAt, state.duration);
+        if (state.sliding) this.slidingKeys.add(key);
+        this.keyTags.set(key, new Set());
+        const links = new Map(state.links);
+        for (const tag of state.tags) this._linkTag(key, tag, links.get(tag));
+        if (state.revision !== undefined) this._keyRevisions.set(key, state.revision);
+        if (state.protected) this.protectedKeys.add(key);
+
+        this._customStrategy?.onInsert?.(key, this._entryView(key));
+    }
+
+    // #endregion
+
+    // #region Versioning
+    /**
+     * Returns the metadata of an entry (version, TTL, tags, priority, ...) without counting as an access.
+     * @param {any} key
+     * @returns {EntryView | undefined} - `undefined` if the key is missing or expired
+     * @example
+     * cache.getMeta("user:1").version; // 7
+     */
+    getMeta(key) {
+        if (!this._isLive(key)) return undefined;
+        return this._entryView(key);
+    }
+
+    /**
+     * Writes a value only if the entry still has the expected version, so a concurrent change is never overwritten.
+     * Use `0` as the expected version to write only when the key does not exist.
+     * @param {any} key
+     * @param {number} expectedVersion - Version read before computing the new value
+     * @param {any} value
+     * @param {Object} [options={}] - Same options as `set()`
+     * @returns {{ success: boolean, version: number }} - Whether the value was written, and the current version
+     * @example
+     * const { version, value } = cache.getMeta("counter");
+     * cache.compareAndSet("counter", version, value + 1); // { success: true, version: 8 }
+     */
+    compareAndSet(key, expectedVersion, value, options = {}) {
+        if (typeof expectedVersion !== "number") throw new CacheError("`expectedVersion` must be a number.");
+
+        const version = this._isLive(key) ? this._keyRevisions.get(key) || 0 : 0;
+        if (version !== expectedVersion) return { success: false, version };
+
+        return this._versionedSet(key, value, options, version);
+    }
+
+    /**
+     * Writes a value only if `predicate` accepts the current one.
+     * @param {any} key
+     * @param {(value: any, meta: EntryView | undefined) => boolean} predicate - Receives the current value (`undefined` if missing) and metadata
+     * @param {any} value
+     * @param {Object} [options={}] - Same options as `set()`
+     * @returns {{ success: boolean, version: number }} - Whether the value was written, and the current version
+     * @example
+     * cache.setIf("leader", current => current === undefined || current.expired, { id: nodeId });
+     */
+    setIf(key, predicate, value, options = {}) {
+        if (typeof predicate !== "function") throw new CacheError("`predicate` must be a function.");
+
+        const meta = this.getMeta(key);
+        const version = meta?.version || 0;
+        if (!predicate(meta?.value, meta)) return { success: false, version };
+
+        return this._versionedSet(key, value, options, version);
+    }
+
+    /**
+     * Sets a value and reports whether it was actually written (it is not when `overWrite` is disabled).
+     * @param {any} key
+     * @param {any} value
+     * @param {Object} options
+     * @param {number} previousVersion
+     * @returns {{ success: boolean, version: number }}
+     * @private
+     */
+    _versionedSet(key, value, options, previousVersion) {
+        const before = this._revision;
+        this.set(key, value, options);
+
+        const version = this._keyRevisions.get(key) || 0;
+        return { success: this._revision !== before && version !== previousVersion, version };
+    }
+
+    // #endregion
+
+    // #region Read-Through
+    /**
+     * Returns the cached value of a key, or loads, caches and returns it on a miss.
+     * Concurrent calls for the same missing key share one `loader` call.
+     * @param {any} key
+     * @param {(key: any) => any} loader - Sync or async function producing the value
+     * @param {Object} [options={}] - Same options as `set()`, plus `errorTTL`
+     * @param {number} [options.errorTTL=0] - Milliseconds a loader error is cached and rethrown without calling the loader again
+     * @returns {Promise<any>}
+     * @example
+     * const user = await cache.getOrSet("user:1", () => db.users.find(1), { ttl: 60000, tags: ["users"] });
+     */
+    async getOrSet(key, loader, options = {}) {
+        if (typeof loader !== "function") throw new CacheError("`loader` must be a function.");
+
+        const { errorTTL = 0, ...setOptions } = options;
+        if (typeof errorTTL !== "number" || errorTTL < 0) throw new CacheError("`errorTTL` must be a non-negative number.");
+
+        const cached = this.get(key);
+        if (cached !== undefined || this._isLive(key)) return cached;
+
+        const pending = this._inflight.get(key);
+        if (pending) return pending;
+
+        const failure = this._failures.get(key);
+        if (failure) {
+            if (this.clock.now() <= failure.until) throw failure.error;
+            this._failures.delete(key);
+        }
+
+        // Started on the next microtask so the load is registered before a sync loader settles it
+        const load = Promise.resolve().then(async () => {
+            try {
+                const value = await loader(key);
+                this.set(key, value, setOptions);
+                this.emit("load", { key, value });
+                return value;
+            } catch (error) {
+                if (errorTTL > 0) this._failures.set(key, { error, until: this.clock.now() + errorTTL });
+                this.emit("loadError", { key, error });
+                throw error;
+            } finally {
+                this._inflight.delete(key);
+            }
+        });
+        this._inflight.set(key, load);
+        return load;
+    }
+
+    /**
+     * Returns the values of many keys, loading every missing one with a single `batchLoader` call.
+     * Misses of all `getMany` calls made in the same tick with the same `batchKey` are loaded together by the
+     * loader of the first call, and keys already being loaded (by `getOrSet` too) are not requested again.
+     * Without a `batchKey`, only calls passing the same loader function are batched.
+     * @param {any[]} keys
+     * @param {(keys: any[]) => any[] | Map<any, any> | Promise<any[] | Map<any, any>>} batchLoader - Returns one value per key in the same order, or a Map of key to value
+     * @param {Object} [options={}] - Same options as `set()`, used for every loaded entry
+     * @param {any} [options.batchKey] - Names the batch, so inline loaders of concurrent calls share one call
+     * @returns {Promise<any[]>} - Values in the order of `keys` (`undefined` for keys the loader did not return)
+     * @example
+     * const users = await cache.getMany([1, 2, 3], ids => db.users.findMany(ids), { ttl: 60000, batchKey: "users" });
+     */
+    async getMany(keys, batchLoader, options = {}) {
+        if (!Array.isArray(keys)) throw new CacheError("`keys` must be an array.");
+        if (typeof batchLoader !== "function") throw new CacheError("`batchLoader` must be a function.");
+
+        const { batchKey = batchLoader, ...setOptions } = /** @type {any} */ (options);
+        return Promise.all(keys.map(key => {
+            const cached = this.get(key);
+            if (cached !== undefined || this._isLive(key)) return cached;
+            return this._inflight.get(key) || this._queueBatchLoad(key, batchKey, batchLoader, setOptions);
+        }));
+    }
+
+    /**
+     * Wraps a function so its results are cached with `getOrSet`, keyed by `keyFn(...args)`.
+     * @param {(...args: any[]) => any} fn - Sync or async function to cache
+     * @param {(...args: any[]) => any} [keyFn] - Derives the cache key from the arguments. Defaults to
+     * `${namespace}:` followed by a stable serialization of the arguments.
+     * @param {Object} [options={}] - Options passed to `getOrSet()`
+     * @param {string} [options.namespace] - Key prefix of the default keys, required without `keyFn`
+     * @returns {(...args: any[]) => Promise<any>}
+     * @example
+     * const getUser = cache.wrap(id => db.users.find(id), id => `user:${id}`, { ttl: 60000 });
+     * await getUser(1);
+     * const getPost = cache.wrap(id => db.posts.find(id), undefined, { namespace: "post" });
+     */
+    wrap(fn, keyFn, options = {}) {
+        if (typeof fn !== "function") throw new CacheError("`fn` must be a function.");
+        if (keyFn !== undefined && typeof keyFn !== "function") throw new CacheError("`keyFn` must be a function.");
+
+        const { namespace, ...loadOptions } = /** @type {any} */ (options);
+        if (!keyFn && (typeof namespace !== "string" || !namespace.length)) {
+            throw new CacheError("`namespace` must be a non-empty string when no `keyFn` is given.");
+        }
+        const keyOf = keyFn || ((/** @type {any[]} */ ...args) => `${namespace}:${stableKey(args)}`);
+        const cache = this;
+        return function (...args) {
+            return cache.getOrSet(keyOf(...args), () => fn.apply(this, args), loadOptions);
+        };
+    }
+
+    // #endregion
+
+    // #region Utility Methods
+    /**
+     * Return current cache size.
+     * @returns {number}
+     * @example
+     * cache.size(); // 5
+     */
+    size() {
+        return this.store.size;
+    }
+
+    /**
+     * Get all keys in the cache.
+     * @returns {Array<any>}
+     * @example
+     * cache.keys(); // ["user:1", "user:2"]
+     */
+    keys() {
+        return [...this.store.keys()];
+    }
+
+    /**
+     * Returns an iterator over cache values.
+     * @returns {Iterator<any>}
+     */
+    values() {
+        return this.store.values();
+    }
+
+    /**
+     * Returns an iterator over [key, value] entries.
+     * @returns {Iterator<[any, any]>}
+     */
+    entries() {
+        return this.store.entries();
+    }
+
+    /**
+     * Returns a new AlisaCache instance with entries that pass the test.
+     * @param {(value: any, key: any, cache: AlisaCache) => boolean} predicate
+     * @returns {AlisaCache}
+     * @example
+     * const activeUsers = cache.filter((v, k) => v.active);
+     */
+    filter(predicate) {
+        if (typeof predicate !== "function") {
+            throw new CacheError("Predicate must be a function.");
+        }
+
+        const result = this._deepClone(); // Create a new instance of AlisaCache
+
+        for (const [key, value] of this.store.entries()) {
+            if (predicate(value, key, this)) {
+                result.set(key, this.cloneOnGet ? this._clone(value) : value);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Creates a new array populated with the results of calling a provided function on every entry.
+     * @param {(value: any, key: any, cache: AlisaCache) => any} fn
+     * @returns {Array<any>}
+     * @example
+     * const usernames = cache.map(v => v.username);
+     */
+    map(fn) {
+        if (typeof fn !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+        const result = [];
+        for (const [key, value] of this.store.entries()) {
+            result.push(fn(value, key, this));
+        }
+        return result;
+    }
+
+    /**
+     * Checks if at least one entry passes the test implemented by the provided function.
+     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
+     * @returns {boolean}
+     * @example
+     * const hasActiveUsers = cache.some(v => v.active);
+     */
+    some(fn) {
+        if (typeof fn !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+        for (const [key, value] of this.store.entries()) {
+            if (fn(value, key, this)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks if all entries pass the test implemented by the provided function.
+     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
+     * @returns {boolean}
+     * @example
+     * const allActive = cache.every(v => v.active);
+     */
+    every(fn) {
+        if (typeof fn !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+        for (const [key, value] of this.store.entries()) {
+            if (!fn(value, key, this)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Applies a function against an accumulator and each value to reduce it to a single result.
+     * @param {(accumulator: any, value: any, key: any, cache: AlisaCache) => any} reducer
+     * @param {any} initialValue
+     * @returns {any}
+     * @example
+     * const totalXP = cache.reduce((acc, val) => acc + val.xp, 0);
+     */
+    reduce(reducer, initialValue) {
+        if (typeof reducer !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+        let accumulator = initialValue;
+        for (const [key, value] of this.store.entries()) {
+            accumulator = reducer(accumulator, value, key, this);
+        }
+        return accumulator;
+    }
+
+    /**
+     * Executes a function for each cache entry.
+     * @param {(value: any, key: any, cache: AlisaCache) => void} callback
+     * @returns {void}
+     */
+    forEach(callback) {
+        if (typeof callback !== "function") {
+            throw new CacheError("'callback' must be a function.");
+        }
+
+        for (const [key, value] of this.store.entries()) {
+            callback(value, key, this);
+        }
+    }
+
+    /**
+     * Groups values in the cache by a given function.
+     * @param {(value: any, key: any, cache: AlisaCache) => any} fn - Grouping function
+     * @returns {Map<any, any[]>} - Group key -> values
+     * @example
+     * const groups = cache.groupBy(v => v.role);
+     */
+    groupBy(fn) {
+        if (typeof fn !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+
+        const groups = new Map();
+        for (const [key, value] of this.store.entries()) {
+            const groupKey = fn(value, key, this);
+            if (!groups.has(groupKey)) groups.set(groupKey, []);
+            groups.get(groupKey).push(value);
+        }
+        return groups;
+    }
+
+    /**
+     * Partitions the cache into two new caches based on a predicate function.
+     * @param {(value: any, key: any, cache: AlisaCache) => boolean} fn
+     * @returns {[AlisaCache, AlisaCache]} - [matchedCache, unmatchedCache]
+     * @example
+     * const [online, offline] = cache.partition(v => v.online);
+     */
+    partition(fn) {
+        if (typeof fn !== "function") {
+            throw new CacheError("'fn' must be a function.");
+        }
+
+        const matched = this._deepClone();
+        const unmatched = this._deepClone();
+
+        for (const [key, value] of this.store.entries()) {
+            const isMatch = fn(value, key, this);
+            const target = isMatch ? matched : unmatched;
+            target.set(key, this.cloneOnGet ? this._clone(value) : value);
+        }
+
+        return [matched, unmatched];
+    }
+
+    /**
+     * Searches for entries by key or value using a string or RegExp.
+     * @param {string | RegExp} query - Search string or regular expression.
+     * @param {"key" | "value" | "both"} [where="key"] - Field to search in.
+     * @returns {Array<[any, any]>} - Array of matching entries.
+     * @example
+     * cache.search("admin", "key");
+     * cache.search(/@gmail\.com$/, "value");
+     */
+    search(query, where = "key") {
+        const regex = typeof query === "string" ? new RegExp(query, "i") : query;
+
+        /** @type {Array<[any, any]>} */
+        const results = [];
+
+        for (const [key, value] of this.store.entries()) {
+            const testKey = where === "key" || where === "both";
+            const testVal = where === "value" || where === "both";
+
+            const keyMatch = testKey && regex.test(String(key));
+            const valMatch = testVal && regex.test(JSON.stringify(value));
+
+            if (keyMatch || valMatch) {
+                results.push([key, value]);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Immediately expires the TTL for a given key (if set). Its stale window is dropped too, so the old value is not served.
+     * @param {any} key
+     * @returns {boolean} - Whether TTL existed and was expired
+     * @example
+     * cache.expire("user:1");
+     */
+    expire(key) {
+        if (!this.ttlMap.has(key)) return false;
+        this.staleWindows.delete(key);
+        this._setExpiry(key, this.clock.now() - 1);
+        return true;
+    }
+
+    /**
+     * Marks a key as just used and renews its TTL: with `ttl` it gets a new TTL of that length,
+     * otherwise its current TTL length starts over (keys without TTL only have their access time updated).
+     * @param {any} key
+     * @param {number} [ttl] - New time to live in milliseconds
+     * @returns {boolean} - Whether the key exists
+     * @example
+     * cache.touch("session:1"); // restart the session TTL
+     * cache.touch("session:1", 60000); // one more minute from now
+     */
+    touch(key, ttl) {
+        if (ttl !== undefined && (typeof ttl !== "number" || ttl <= 0)) {
+            throw new CacheError("`ttl` must be a positive number.");
+        }
+        if (!this._isLive(key)) return false;
+
+        const duration = ttl ?? this.ttlDurations.get(key);
+        if (duration) this._setExpiry(key, this.clock.now() + duration, duration);
+
+        this.meta.set(key, this.clock.now());
+        this._evictionIndex.touch(key);
+        return true;
+    }
+
+    /**
+     * Removes the TTL of a key so it never expires (sliding expiration included).
+     * @param {any} key
+     * @returns {boolean} - Whether the key had a TTL
+     * @example
+     * cache.persist("user:1");
+     */
+    persist(key) {
+        if (!this._isLive(key) || !this.ttlMap.has(key)) return false;
+        this._setExpiry(key);
+        return true;
+    }
+
+    /**
+     * Sets an absolute expiration time for a key. Sliding expiration is turned off for it.
+     * @param {any} key
+     * @param {Date | number} date - Expiration date or timestamp in milliseconds
+     * @returns {boolean} - Whether the key exists
+     * @example
+     * cache.expireAt("promo", new Date("2030-01-01"));
+     */
+    expireAt(key, date) {
+        const timestamp = date instanceof Date ? date.getTime() : date;
+        if (typeof timestamp !== "number" || Number.isNaN(timestamp)) {
+            throw new CacheError("`date` must be a valid Date or timestamp.");
+        }
+        if (!this._isLive(key)) return false;
+
+        this.slidingKeys.delete(key);
+        this._setExpiry(key, timestamp);
+        return true;
+    }
+
+
+    /**
+     * Returns a list of all defined tags, or only the ones matching a pattern like `"guild:*"`.
+     * @param {string} [pattern]
+     * @returns {Array<string>}
+     * @example
+     * cache.tags("guild:123:*"); // ["guild:123:channel:9", ...]
+     */
+    tags(pattern) {
+        if (pattern === undefined) return [...this.tagMap.keys()].filter(tag => this._isTagLive(tag));
+        if (!this._isTagPattern(pattern)) return this._isTagLive(pattern) ? [pattern] : [];
+        return this._tagTrie.match(pattern).filter(tag => this._isTagLive(tag));
+    }
+
+    /**
+    * Returns detailed statistics about the cache usage.
+    * @returns {{
+    *   size: number,
+    *   limit: number,
+    *   hits: number,
+    *   misses: number,
+    *   evictions: number,
+    *   strategy: string,
+    *   tagCount: number,
+    *   tags: string[],
+    *   priority: { average: number },
+    *   frequency: { total: number, average: number, max: number },
+    *   totalSize: number,
+    *   maxSize: number
+    * }}
+    * @example
+    * cache.stats();
+    * // => {
+    * //   size: 24,
+    * //   limit: 100,
+    * //   hits: 85,
+    * //   misses: 20,
+    * //   evictions: 5,
+    * //   strategy: 'LRU',
+    * //   tagCount: 3,
+    * //   tags: ['user', 'session', 'temp'],
+    * //   priority: { average: 0 },
+    * //   frequency: { total: 42, average: 1.75, max: 12 },
+    * //   totalSize: 2048,
+    * //   maxSize: Infinity
+    * // }
+    */
+    stats() {
+        const counters = [...this.frequency.values()];
+        const totalFrequency = counters.reduce((a, b) => a + b, 0);
+        const tags = this.tags();
+
+        return {
+            size: this.store.size,
+            limit: this.limit,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            strategy: this.strategy,
+            tagCount: tags.length,
+            tags,
+            priority: {
+                average: this.priorityMap.size
+                    ? [...this.priorityMap.values()].reduce((a, b) => a + b, 0) / this.priorityMap.size
+                    : 0
+            },
+            frequency: {
+                total: totalFrequency,
+                average: counters.length ? totalFrequency / counters.length : 0,
+                max: counters.reduce((a, b) => Math.max(a, b), 0)
+            },
+            totalSize: this.totalSize,
+            maxSize: this.maxSize
+        };
+    }
+
+    /**
+     * Resets cache statistics (hit/miss/evict counters).
+     * @returns {void}
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Performs a deep clone of an object or array.
+     * Note: Functions, Maps, Sets are not preserved deeply.
+     * @param {any} value
+     * @returns {any}
+     */
+    _clone(value) {
+        if (typeof value !== "object" || value === null) return value;
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Creates a deep clone of the class
+     * @returns {AlisaCache}
+     */
+    _deepClone() {
+        return new AlisaCache({
+            limit: this.limit,
+            strategy: this.strategy,
+            updateOnGet: this.updateOnGet,
+            updateOnHas: this.updateOnHas,
+            overWrite: this.overWrite,
+            cloneOnGet: this.cloneOnGet,
+            customEvict: this.customEvict || undefined,
+            frequencyDecay: this.frequencyDecay,
+            decayInterval: this.decayInterval,
+            maxSize: this.maxSize,
+            sizeCalculation: this.sizeCalculation,
+            evictionScope: this.evictionScope,
+            highWatermark: this.highWatermark,
+            lowWatermark: this.lowWatermark,
+            namespaceMode: this.namespaceMode,
+            namespaceFairness: this.namespaceFairness,
+            preciseExpiry: this.preciseExpiry,
+            staleTTL: this.staleTTL,
+            loader: this.loader,
+            refreshAhead: this.refreshAhead,
+            tagSeparator: this.tagSeparator,
+            clock: this.clock
+        });
+    }
+
+    /**
+     * Creates a deep clone of the entire cache.
+     * @returns {AlisaCache}
+     * @example
+     * const backup = cache.clone();
+     */
+    clone() {
+        const snapshot = this.snapshot();
+        const clone = this._deepClone();
+
+        clone.loadSnapshot(
+            JSON.parse(JSON.stringify(snapshot)) // Deep clone the snapshot
+        );
+        return clone;
+    }
+
+    /**
+     * Returns advanced statistics including tag usage and TTL distributions.
+     * @returns {{
+     *   totalKeys: number,
+     *   totalTags: number,
+     *   mostUsedTags: string[],
+     *   ttlEnabled: number,
+     *   tagUsage: Record<string, number>,
+     *   frequencyDistribution: Record<string, number>
+     * }}
+     */
+    statsExtended() {
+        /** @type {Record<string, number>} */
+        const tagUsage = {};
+        for (const [tag, keys] of this.tagMap.entries()) {
+            tagUsage[tag] = keys.size;
+        }
+
+        // Power-of-two buckets: "0", "1", "2-3", "4-7", ...
+        /** @type {Record<string, number>} */
+        const frequencyDistribution = {};
+        for (const count of this.frequency.values()) {
+            let bucket = "0";
+            if (count >= 1) {
+                const low = 2 ** Math.floor(Math.log2(count));
+                bucket = low === 1 ? "1" : `${low}-${low * 2 - 1}`;
+            }
+            frequencyDistribution[bucket] = (frequencyDistribution[bucket] || 0) + 1;
+        }
+
+        return {
+            totalKeys: this.store.size,
+            totalTags: this.tagMap.size,
+            mostUsedTags: Object.entries(tagUsage).sort((a, b) => b[1] - a[1]).map(([tag]) => tag),
+            ttlEnabled: this.ttlMap.size,
+            tagUsage,
+            frequencyDistribution
+        };
+    }
+
+    /**
+     * Returns estimated memory usage and active TTL data.
+     * @returns {{
+     *   keyCount: number,
+     *   avgValueSize: number,
+     *   ttlCount: number,
+     *   activeTTLKeys: string[]
+     * }}
+     */
+    metrics() {
+        const values = [...this.store.values()];
+        const keyCount = this.store.size;
+        const jsonSizes = values.map(v => JSON.stringify(v)?.length || 0);
+        const totalSize = jsonSizes.reduce((a, b) => a + b, 0);
+        const avgValueSize = keyCount ? totalSize / keyCount : 0;
+
+        const activeTTLKeys = [...this.ttlMap.keys()].filter(k => this.ttlExpire(k) > 0);
+        const ttlCount = activeTTLKeys.length;
+
+        return {
+            keyCount,
+            avgValueSize,
+            ttlCount,
+            activeTTLKeys
+        };
+    }
+
+
+
+    /**
+     * Creates a serializable snapshot of the cache and all internal states.
+     * @returns {Object}
+     * @example
+     * const dump = cache.snapshot();
+     * fs.writeFileSync("./cache.json", JSON.stringify(dump, null, 2));
+     */
+    snapshot() {
+        return {
+            data: [...this.store.entries()].map(([key, value]) => [key, value instanceof Set ? [...value] : value]),
+            setKeys: [...this.store.keys()].filter(key => this.store.get(key) instanceof Set), // stored as arrays in `data`
+            meta: [...this.meta.entries()],
+            frequency: [...this.frequency.entries()],
+            ttlMap: [...this.ttlMap.entries()],
+            ttlDurations: [...this.ttlDurations.entries()],
+            slidingKeys: [...this.slidingKeys],
+            staleWindows: [...this.staleWindows.entries()],
+            versions: [...this._keyRevisions.entries()],
+            tagMap: [...this.tagMap.entries()].map(([tag, keys]) => [tag, [...keys]]),
+            keyTags: [...this.keyTags.entries()].map(([key, tags]) => [key, [...tags]]),
+            tagGenerations: [...this._tagGenerations.entries()],
+            tagLinks: [...this._tagLinks.entries()].map(([key, links]) => [key, [...links]]),
+            tagDeadlines: [...this._tagDeadlines.entries()],
+            stats: {
+                hits: this.hits,
+                misses: this.misses,
+                evictions: this.evictions
+            }
+        };
+    }
+
+
+    /**
+     * Loads a snapshot into the cache. Overwrites existing data.
+     * @param {Object} snapshot - The snapshot object to restore.
+     * @returns {this}
+     * @example
+     * const dump = JSON.parse(fs.readFileSync("./cache.json"));
+     * cache.loadSnapshot(dump);
+     */
+    loadSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== "object") throw new CacheError("Invalid snapshot");
+
+        this.flush(); // clear existing data
+
+        // Restore data from snapshot
+        for (const [k, v] of snapshot.data || []) this.store.set(k, v);
+        for (const k of snapshot.setKeys || []) this.store.set(k, new Set(this.store.get(k)));
+        for (const [k, v] of snapshot.meta || []) this.meta.set(k, v);
+        for (const [k, v] of snapshot.frequency || []) this.frequency.set(k, v);
+        for (const [k, v] of snapshot.staleWindows || []) this.staleWindows.set(k, v);
+        for (const [k, v] of snapshot.ttlMap || []) this._setExpiry(k, v);
+        for (const [k, v] of snapshot.ttlDurations || []) this.ttlDurations.set(k, v);
+        for (const k of snapshot.slidingKeys || []) this.slidingKeys.add(k);
+        for (const [tag, keys] of snapshot.tagMap || []) {
+            this.tagMap.set(tag, new Set(keys));
+            this._tagTrie.add(tag);
+        }
+        for (const [key, tags] of snapshot.keyTags || []) this.keyTags.set(key, new Set(tags));
+        for (const [tag, generation] of snapshot.tagGenerations || []) this._tagGenerations.set(tag, generation);
+        for (const [key, links] of snapshot.tagLinks || []) this._tagLinks.set(key, new Map(links));
+        for (const [key, tags] of this.keyTags.entries()) {
+            if (!this._tagLinks.has(key)) this._tagLinks.set(key, new Map([...tags].map(tag => [tag, this._tagGenerations.get(tag) || 0])));
+        }
+        for (const links of this._tagLinks.values()) {
+            for (const [tag, generation] of links) {
+                if (generation < (this._tagGenerations.get(tag) || 0)) this._deadLinks.set(tag, (this._deadLinks.get(tag) || 0) + 1);
+            }
+        }
+        for (const [tag, deadline] of snapshot.tagDeadlines || []) this._tagDeadlines.set(tag, deadline);
+        for (const [k, v] of this.store.entries()) this._setSize(k, this._calculateSize(k, v));
+        for (const [k, v] of snapshot.versions || []) this._keyRevisions.set(k, v);
+        for (const version of this._keyRevisions.values()) this._revision = Math.max(this._revision, version);
+        for (const k of this.store.keys()) {
+            if (!this._keyRevisions.has(k)) this._keyRevisions.set(k, ++this._revision);
+        }
+        this._rebuildEvictionIndex();
+
+        if (this._customStrategy?.onInsert) {
+            for (const key of this.store.keys()) this._customStrategy.onInsert(key, this._entryView(key));
+        }
+
+        const { hits = 0, misses = 0, evictions = 0 } = snapshot.stats || {};
+        this.hits = hits;
+        this.misses = misses;
+        this.evictions = evictions;
+
+        return this;
+    }
+
+    /**
+     * Converts the cache to a plain JSON-safe object.
+     * @returns {Object}
+     */
+    toJSON() {
+        return this.snapshot();
+    }
+
+    /**
+     * Loads data from a JSON-safe snapshot object.
+     * @param {Object} json
+     * @returns {this}
+     * @example
+     * cache.fromJSON(JSON.parse(jsonString));
+     */
+    fromJSON(json) {
+        return this.loadSnapshot(json);
+    }
+
+    /**
+     * Saves the cache to a file in JSON format.
+     * @param {string} path - The file path to save the cache.
+     * @returns {Promise<void>}
+     * @example
+     * await cache.saveToFile("./cache.json");
+     * fs.writeFileSync("./cache.json", JSON.stringify(cache.toJSON(), null, 2));
+     */
+    async saveToFile(path) {
+        if (typeof path !== "string" || !path.length) {
+            throw new CacheError("File path must be a non-empty string.");
+        }
+
+        const json = JSON.stringify(this.toJSON(), null, 2);
+        await promises.writeFile(path, json, "utf-8");
+    }
+
+    /**
+    * Loads cache data from a JSON file.
+    * @param {string} path - The file path to load the cache from.
+    * @returns {Promise<AlisaCache>} - The loaded cache instance.
     * @example
-    * cache.stats();
-    * // => {
-    * //   size: 24,
-    * //   limit: 100,
-    * //   hits: 85,
-    * //   misses: 20,
-    * //   evictions: 5,
-    * //   strategy: 'LRU',
-    * //   tagCount: 3,
-    * //   tags: ['user', 'session', 'temp']
-    * // }
+    * const cache = await AlisaCache.loadFromFile("./cache.json");
     */
-    stats() {
-        return {
+    async loadFromFile(path) {
+        const data = await promises.readFile(path, "utf-8");
+        const json = JSON.parse(data);
+        return this.fromJSON(json);
+    }
+
+    // #endregion
+
+    // #region Eviction Strategies
+    /**
+     * Execute eviction based on selected strategy.
+     * @param {(key: any) => boolean} [exclude] - Keys that must not be chosen as victims, like the ones being written
+     * @returns {boolean}
+     * @private
+     */
+    evict(exclude = () => false) {
+        /** @param {any} key */
+        const isProtected = key => this.protectedKeys.has(key) || exclude(key);
+
+        // Entries that already expired or were invalidated go first, no live key is sacrificed while they linger
+        if (this._removeExpired() || this._evictInvalidated(isProtected)) return true;
+
+        if (this._customStrategy) {
+            const selected = this._customStrategy.selectVictim(this._evictionContext());
+            if (selected === undefined || selected === null) return false;
+
+            // Never trust the strategy blindly: unknown, protected and excluded keys are ignored
+            const keys = [...new Set(Array.isArray(selected) ? selected : [selected])]
+                .filter(key => this.store.has(key) && !isProtected(key));
+            for (const key of keys) this._evictKey(key);
+            return keys.length > 0;
+        }
+
+        if (this.customEvict && typeof this.customEvict === "function") {
+            const key = this.customEvict(this.store, this.meta);
+            if (this.store.has(key) && !isProtected(key)) {
+                this._evictKey(key);
+                return true;
+            }
+            return false;
+        }
+
+        if (!this.store.size) return false;
+
+        let victim;
+        switch (this.evictionScope) {
+            case "volatile-ttl":
+                // Closest to expiry first, regardless of strategy and priority
+                victim = this._expiryHeap.find(false, isProtected);
+                break;
+
+            case "volatile":
+                // Strategy order, but only keys with a TTL
+                victim = this._evictionIndex.victim(key => isProtected(key) || !this.ttlMap.has(key));
+                break;
+
+            default:
+                // Lowest priority bucket first, protected keys are skipped
+                victim = this._evictionIndex.victim(isProtected);
+        }
+        if (!victim) return false;
+
+        this._evictKey(victim.key);
+        return true;
+    }
+
+    /**
+     * Evicts entries other than the ones about to be written so that those fit. Once the high watermark is crossed and
+     * a low watermark is configured, the store is trimmed down to it (counting the new entries) in one batch.
+     * @param {Map<any, number>} writes - Keys about to be written and the weight of their new values
+     * @throws {CacheError} If the new entries would exceed `limit` or `maxSize` and no key in `evictionScope` can be evicted
+     * @returns {void}
+     * @private
+     */
+    _makeRoom(writes) {
+        const batch = this.lowWatermark !== undefined;
+        const highCount = Math.floor(this.limit * this.highWatermark);
+        const highSize = this.maxSize * this.highWatermark;
+        const added = () => {
+            let count = 0;
+            for (const key of writes.keys()) if (!this.store.has(key)) count++;
+            return count;
+        };
+        const weightAfter = () => {
+            let weight = this.totalSize;
+            for (const [key, entrySize] of writes) weight += entrySize - (this.sizeMap.get(key) || 0);
+            return weight;
+        };
+
+        let countTarget = Infinity; // entries allowed once the new ones are added
+        if (added() && this.store.size + added() > highCount) {
+            countTarget = batch ? Math.floor(this.limit * /** @type {number} */(this.lowWatermark)) : highCount;
+        }
+
+        let sizeTarget = Infinity; // weight allowed once the new entries are added
+        if (weightAfter() > highSize) {
+            sizeTarget = batch ? this.maxSize * /** @type {number} */(this.lowWatermark) : highSize;
+        }
+
+        if (countTarget === Infinity && sizeTarget === Infinity) return;
+
+        this._evictedBatch = batch ? [] : null;
+        while (this.store.size + added() > countTarget || weightAfter() > sizeTarget) {
+            // Keys about to be written are never victims: they would be evicted only to be written again
+            if (!this.evict(key => writes.has(key))) break;
+        }
+
+        const evicted = this._evictedBatch;
+        this._evictedBatch = null;
+        if (evicted?.length) this.emit("evictBatch", { keys: evicted });
+
+        if (this.store.size + added() > this.limit) {
+            throw new CacheError(`No key can be evicted under \`evictionScope\` "${this.evictionScope}" to stay within \`limit\` (${this.limit}).`);
+        }
+        if (weightAfter() > this.maxSize) {
+            throw new CacheError(`No key can be evicted under \`evictionScope\` "${this.evictionScope}" to stay within \`maxSize\` (${this.maxSize}).`);
+        }
+    }
+
+    /**
+     * In shared namespace mode, evicts entries across the whole namespace tree until `key` fits
+     * in the top-level cache's `limit`/`maxSize`, picking caches with `namespaceFairness`.
+     * @param {any} key - Key about to be written
+     * @param {number} entrySize - Weight of the new value
+     * @returns {void}
+     * @private
+     */
+    _enforceSharedBudget(key, entrySize) {
+        /** @type {AlisaCache} */
+        let root = this;
+        while (root._parent) root = root._parent;
+        if (root.namespaceMode !== "shared" || (root === this && !this.namespaces.size)) return;
+
+        /** @type {AlisaCache[]} */
+        const members = [];
+        /** @param {AlisaCache} cache */
+        const collect = cache => {
+            members.push(cache);
+            for (const ns of cache.namespaces.values()) collect(ns);
+        };
+        collect(root);
+
+        /** @type {Set<AlisaCache>} */
+        const exhausted = new Set();
+        while (true) {
+            let count = this.store.has(key) ? 0 : 1;
+            let weight = entrySize - (this.sizeMap.get(key) || 0);
+            for (const member of members) {
+                count += member.store.size;
+                weight += member.totalSize;
+            }
+
+            const overCount = count > root.limit;
+            if (!overCount && weight <= root.maxSize) return;
+
+            const target = this._pickBudgetVictim(root, members, exhausted, !overCount);
+            if (!target) return;
+            if (!target.evict(victim => target === this && victim === key)) exhausted.add(target);
+        }
+    }
+
+    /**
+     * Chooses which cache of a shared namespace tree gives up an entry.
+     * Caches at or below their reservation are only used when they are the writer.
+     * @param {AlisaCache} root - Top-level cache holding the budget and the fairness policy
+     * @param {AlisaCache[]} members - Every cache sharing the budget
+     * @param {Set<AlisaCache>} exhausted - Caches that could not evict anything
+     * @param {boolean} byWeight - Whether the weight (rather than the entry count) is over budget
+     * @returns {AlisaCache | null}
+     * @private
+     */
+    _pickBudgetVictim(root, members, exhausted, byWeight) {
+        /** @param {AlisaCache} cache */
+        const surplus = cache => (byWeight ? cache.totalSize : cache.store.size) - cache._reserve * (byWeight ? root.maxSize : root.limit);
+        const candidates = members.filter(cache => !exhausted.has(cache) && cache.store.size > 0 && (cache === this || surplus(cache) > 0));
+        if (!candidates.length) return null;
+
+        switch (root.namespaceFairness) {
+            case "round-robin":
+                for (let i = 0; i < members.length; i++) {
+                    const cache = members[(root._budgetCursor + i) % members.length];
+                    if (candidates.includes(cache)) {
+                        root._budgetCursor = (root._budgetCursor + i + 1) % members.length;
+                        return cache;
+                    }
+                }
+                return null;
+
+            case "self":
+                if (candidates.includes(this)) return this;
+            // falls through
+
+            default:
+                return candidates.reduce((best, cache) => surplus(cache) > surplus(best) ? cache : best);
+        }
+    }
+
+    /**
+     * Removes a key chosen by the eviction logic and records the eviction.
+     * @param {any} key
+     * @returns {void}
+     * @private
+     */
+    _evictKey(key) {
+        this._evictionIndex.remove(key, true);
+        this.delete(key);
+        this.evictions++;
+        this._evictedBatch?.push(key);
+        this.emit("evict", { key });
+    }
+
+    /**
+     * Returns a frozen snapshot of the metadata of an entry.
+     * @param {any} key
+     * @returns {EntryView}
+     * @private
+     */
+    _entryView(key) {
+        return Object.freeze({
+            key,
+            value: this.store.get(key),
+            priority: this.priorityMap.get(key) || 0,
+            tags: [...(this.keyTags.get(key) || [])],
+            expiresAt: this.ttlMap.get(key) ?? null,
+            stale: this.ttlMap.has(key) && this.clock.now() > (this.ttlMap.get(key) || 0),
+            protected: this.protectedKeys.has(key),
+            lastAccess: this.meta.get(key) || 0,
+            frequency: this.frequency.get(key) || 0,
+            size: this.sizeMap.get(key) || 0,
+            version: this._keyRevisions.get(key) || 0
+        });
+    }
+
+    /**
+     * Builds the read-only context given to `selectVictim()` of a registered strategy.
+     * @returns {EvictionContext}
+     * @private
+     */
+    _evictionContext() {
+        const cache = this;
+        return Object.freeze({
+            now: this.clock.now(),
             size: this.store.size,
             limit: this.limit,
-            hits: this.hits,
-            misses: this.misses,
-            evictions: this.evictions,
-            strategy: this.strategy,
-            tagCount: this.tagMap.size,
-            tags: [...this.tagMap.keys()],
-            priority: {
-                average: this.priorityMap.size
-                    ? [...this.priorityMap.values()].reduce((a, b) => a + b, 0) / this.priorityMap.size
-                    : 0
+            totalSize: this.totalSize,
+            maxSize: this.maxSize,
+            keys: () => this.store.keys(),
+            *entries() {
+                for (const key of cache.store.keys()) yield cache._entryView(key);
+            },
+            get: (/** @type {any} */ key) => this.store.has(key) ? this._entryView(key) : undefined,
+            isProtected: (/** @type {any} */ key) => this.protectedKeys.has(key)
+        });
+    }
+
+    /**
+     * Removes every unprotected entry that expired or was invalidated through a tag.
+     * @returns {number} - Number of removed entries
+     * @private
+     */
+    _removeDead() {
+        for (const tag of [...this._tagDeadlines.keys()]) this._settleTagDeadline(tag);
+
+        let removed = this._removeExpired();
+        for (const tag of [...this._deadLinks.keys()]) removed += this._purgeTag(tag);
+        return removed;
+    }
+
+    /**
+     * Expires one unprotected entry invalidated through a tag. The search resumes where the previous one stopped
+     * and looks at `invalidatedScanSteps` tag members at most, so an eviction never walks a whole tag.
+     * @param {(key: any) => boolean} skip - Keys that must stay (protected or excluded from eviction)
+     * @returns {boolean} - Whether an entry was removed
+     * @private
+     */
+    _evictInvalidated(skip) {
+        for (let step = 0; step < invalidatedScanSteps && this._deadLinks.size; step++) {
+            if (!this._deadScan) this._deadScan = { tags: this._deadLinks.keys() };
+            const scan = this._deadScan;
+            const next = scan.keys?.next();
+            if (!next || next.done) {
+                const tag = scan.tags.next();
+                if (tag.done) this._deadScan = null; // start over with the tags invalidated since
+                else {
+                    scan.tag = tag.value;
+                    scan.keys = this.tagMap.get(tag.value)?.values();
+                }
+                continue;
             }
+
+            const key = next.value;
+            const generation = this._tagGenerations.get(/** @type {string} */ (scan.tag)) || 0;
+            if (skip(key) || !((this._tagLinks.get(key)?.get(scan.tag) ?? generation) < generation)) continue;
+
+            this._expireKey(key);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Expires every unprotected entry whose TTL already passed, reading only the due part of the expiry index.
+     * @returns {number} - Number of removed entries
+     * @private
+     */
+    _removeExpired() {
+        const now = this.clock.now();
+
+        /** @type {any[]} */
+        const expired = [];
+        this._expiryHeap.find(false, key => {
+            if (!(now > this._deadline(key))) return false; // first live key, stop here
+            if (!this.protectedKeys.has(key)) expired.push(key);
+            return true;
+        });
+
+        for (const key of expired) this._expireKey(key);
+        return expired.length;
+    }
+
+    /**
+     * Deletes an expired entry and emits `expire` with the value and tags it had. Protected entries are kept and emit nothing.
+     * @param {any} key
+     * @returns {void}
+     * @private
+     */
+    _expireKey(key) {
+        const value = this.store.get(key);
+        const tags = [...(this.keyTags.get(key) || [])];
+
+        if (!this.delete(key)) return;
+        this.emit("expire", { key, value, tags });
+    }
+
+    /**
+     * Arms the `preciseExpiry` timer for the earliest deadline in the expiry index, or stops it when nothing is due.
+     * Protected keys whose TTL already passed are skipped, they stay until unprotected or accessed.
+     * @returns {void}
+     * @private
+     */
+    _scheduleExpiry() {
+        if (!this.preciseExpiry) return;
+
+        const now = this.clock.now();
+        const next = this._expiryHeap.find(false, key =>
+            this.protectedKeys.has(key) && now > this._deadline(key)
+        );
+        const deadline = next ? this._deadline(next.key) : 0;
+        if (deadline === this._expiryTimerAt && (this._expiryTimer || !deadline)) return;
+
+        if (this._expiryTimer) this.clock.clearInterval(this._expiryTimer);
+        this._expiryTimer = null;
+        this._expiryTimerAt = deadline;
+        if (!deadline) return;
+
+        // `get`/`has` treat a key as expired once `now > deadline`
+        const delay = Math.min(Math.max(deadline - now + 1, 1), 2147483647);
+        this._expiryTimer = this.clock.setInterval(() => {
+            this.clock.clearInterval(this._expiryTimer); // used as a one-shot timer
+            this._expiryTimer = null;
+            this._expiryTimerAt = 0;
+            this._removeExpired();
+            this._scheduleExpiry();
+        }, delay);
+        this._expiryTimer.unref?.();
+    }
+
+    /**
+     * Sets or clears (when `expireAt` is undefined) the expiration timestamp of a key.
+     * A `duration` is remembered so the TTL can be renewed; without it the deadline is absolute.
+     * @param {any} key
+     * @param {number} [expireAt]
+     * @param {number} [duration] - TTL length in milliseconds
+     * @returns {void}
+     * @private
+     */
+    _setExpiry(key, expireAt, duration) {
+        if (expireAt === undefined) {
+            this.ttlMap.delete(key);
+            this.ttlDurations.delete(key);
+            this.slidingKeys.delete(key);
+            this.staleWindows.delete(key);
+            this._expiryHeap.remove(key);
+            this._scheduleExpiry();
+            return;
+        }
+
+        this.ttlMap.set(key, expireAt);
+        this._expiryHeap.touch(key, expireAt);
+        this._scheduleExpiry();
+
+        if (duration) {
+            this.ttlDurations.set(key, duration);
+        } else if (!this.slidingKeys.has(key)) {
+            this.ttlDurations.delete(key);
+        }
+    }
+
+    /**
+     * Whether a key is stored, not expired and not invalidated through a tag, without counting as an access.
+     * @param {any} key
+     * @returns {boolean}
+     * @private
+     */
+    _isLive(key) {
+        if (!this.store.has(key)) return false;
+        const expireAt = this.ttlMap.get(key);
+        return !(expireAt && this.clock.now() > this._deadline(key)) && !this._isInvalidated(key);
+    }
+
+    /**
+     * Whether one of the tags of a key was invalidated after the key was linked to it.
+     * @param {any} key
+     * @returns {boolean}
+     * @private
+     */
+    _isInvalidated(key) {
+        for (const [tag, generation] of this._tagLinks.get(key) || []) {
+            this._settleTagDeadline(tag);
+            if (generation < (this._tagGenerations.get(tag) || 0)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Timestamp after which a key is removed: its TTL plus its stale window, `0` without TTL.
+     * @param {any} key
+     * @returns {number}
+     * @private
+     */
+    _deadline(key) {
+        const expireAt = this.ttlMap.get(key);
+        return expireAt ? expireAt + (this.staleWindows.get(key) || 0) : 0;
+    }
+
+    /**
+     * Options that recreate an entry as it was set: TTL, stale window, tags, priority and sliding expiration.
+     * @param {any} key
+     * @returns {{ ttl?: number, staleTTL: number, tags: string[], priority: number, sliding: boolean }}
+     * @private
+     */
+    _entryOptions(key) {
+        return {
+            ttl: this.ttlDurations.get(key),
+            staleTTL: this.staleWindows.get(key) || 0,
+            tags: [...(this.keyTags.get(key) || [])],
+            priority: this.priorityMap.get(key) || 0,
+            sliding: this.slidingKeys.has(key)
         };
     }
 
     /**
-     * Resets cache statistics (hit/miss/evict counters).
+     * Adds a missing key to a pending batch, scheduling the batch on the first key.
+     * @param {any} key
+     * @param {any} batchKey - Name of the batch
+     * @param {Function} batchLoader - Loader used if this key starts the batch
+     * @param {Object} options - `set()` options for the loaded value
+     * @returns {Promise<any>}
+     * @private
+     */
+    _queueBatchLoad(key, batchKey, batchLoader, options) {
+        let batch = this._batches.get(batchKey);
+        if (!batch) {
+            batch = { loader: batchLoader, keys: new Map() };
+            this._batches.set(batchKey, batch);
+            Promise.resolve().then(() => this._dispatchBatch(batchKey));
+        }
+
+        const pending = batch.keys;
+        const load = new Promise((resolve, reject) => pending.set(key, { resolve, reject, options }));
+        this._inflight.set(key, load);
+        return load;
+    }
+
+    /**
+     * Calls the loader of a batch once for all of its queued keys and settles their promises.
+     * @param {any} batchKey
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _dispatchBatch(batchKey) {
+        const queued = this._batches.get(batchKey);
+        this._batches.delete(batchKey);
+        if (!queued) return;
+
+        const batch = queued.keys;
+        const keys = [...batch.keys()];
+
+        /** @type {any[]} */
+        let values;
+        try {
+            const loaded = await queued.loader(keys);
+            values = loaded instanceof Map ? keys.map(key => loaded.get(key)) : loaded;
+            if (!Array.isArray(values) || values.length !== keys.length) {
+                throw new CacheError("`batchLoader` must return an array with one value per key, or a Map.");
+            }
+        } catch (error) {
+            for (const [key, { reject }] of batch) {
+                this._inflight.delete(key);
+                this.emit("loadError", { key, error });
+                reject(error);
+            }
+            return;
+        }
+
+        keys.forEach((key, i) => {
+            const { resolve, reject, options } = batch.get(key) || {};
+            const value = values[i];
+            this._inflight.delete(key);
+            try {
+                if (value !== undefined) {
+                    this.set(key, value, options);
+                    this.emit("load", { key, value });
+                }
+                resolve?.(value);
+            } catch (error) {
+                reject?.(error);
+            }
+        });
+    }
+
+    /**
+     * Reloads a key through the `loader` in the background, at most once at a time per key.
+     * The value is swapped in place with a renewed TTL (even with `overWrite` disabled), so readers never see a miss.
+     * The new value is only stored if the entry was not replaced or removed meanwhile,
+     * a failing loader leaves the old value in place.
+     * @param {any} key
+     * @param {any} currentValue
+     * @returns {void}
+     * @private
+     */
+    _refresh(key, currentValue) {
+        if (!this.loader || this._refreshing.has(key)) return;
+
+        const loader = this.loader;
+        // Started on the next microtask so the refresh is registered before a sync loader settles it
+        const refresh = Promise.resolve().then(async () => {
+            try {
+                const value = await loader(key, currentValue);
+                if (this.store.get(key) !== currentValue) return;
+
+                const expireAt = this.ttlMap.get(key);
+                const duration = this.ttlDurations.get(key);
+                if (duration) this._setExpiry(key, this.clock.now() + duration, duration);
+                try {
+                    this._replaceValue(key, value);
+                } catch (error) {
+                    if (duration) this._setExpiry(key, expireAt, duration);
+                    throw error;
+                }
+                this.emit("refresh", { key, value });
+            } catch (error) {
+                this.emit("refreshError", { key, error });
+            } finally {
+                this._refreshing.delete(key);
+            }
+        });
+        this._refreshing.set(key, refresh);
+    }
+
+    /**
+     * Increments the access counter of a key and ages all counters every `decayInterval` hits,
+     * so keys that were popular a long time ago eventually become evictable again.
+     * @param {any} key
      * @returns {void}
+     * @private
      */
-    resetStats() {
-        this.hits = 0;
-        this.misses = 0;
-        this.evictions = 0;
+    _recordAccess(key) {
+        this.frequency.set(key, (this.frequency.get(key) || 0) + 1);
+
+        this._evictionIndex.update(key);
+        this._customStrategy?.onAccess?.(key, this._entryView(key));
+
+        if (++this._hitsSinceDecay >= this.decayInterval) {
+            this._hitsSinceDecay = 0;
+            for (const [k, count] of this.frequency.entries()) {
+                this.frequency.set(k, Math.floor(count * this.frequencyDecay));
+            }
+            this._evictionIndex.refresh();
+        }
     }
 
     /**
-     * Performs a deep clone of an object or array.
-     * Note: Functions, Maps, Sets are not preserved deeply.
-     * @param {any} value
-     * @returns {any}
+     * Adds a key to a tag in both directions, registering new tags in the tag trie
+     * and recording the generation of the tag the link was made under.
+     * @param {any} key
+     * @param {string} tag
+     * @param {number} [generation] - Generation of a link being moved or restored, the current one by default
+     * @returns {void}
+     * @private
      */
-    _clone(value) {
-        if (typeof value !== "object" || value === null) return value;
-        return JSON.parse(JSON.stringify(value));
+    _linkTag(key, tag, generation) {
+        this._settleTagDeadline(tag); // a passed deadline must not apply to the new link
+
+        let keys = this.tagMap.get(tag);
+        if (!keys) {
+            keys = new Set();
+            this.tagMap.set(tag, keys);
+            this._tagTrie.add(tag);
+        }
+        keys.add(key);
+
+        let tags = this.keyTags.get(key);
+        if (!tags) {
+            tags = new Set();
+            this.keyTags.set(key, tags);
+        }
+        tags.add(tag);
+
+        let links = this._tagLinks.get(key);
+        if (!links) {
+            links = new Map();
+            this._tagLinks.set(key, links);
+        }
+        const current = this._tagGenerations.get(tag) || 0;
+        if (generation !== undefined && generation < current) this._deadLinks.set(tag, (this._deadLinks.get(tag) || 0) + 1);
+        links.set(tag, generation ?? current);
     }
 
     /**
-     * Creates a deep clone of the class
-     * @returns {AlisaCache}
+     * Removes a key from a tag in both directions, dropping tags without keys.
+     * @param {any} key
+     * @param {string} tag
+     * @returns {void}
+     * @private
      */
-    _deepClone() {
-        return new AlisaCache({
-            limit: this.limit,
-            strategy: this.strategy,
-            updateOnGet: this.updateOnGet,
-            updateOnHas: this.updateOnHas,
-            overWrite: this.overWrite,
-            cloneOnGet: this.cloneOnGet,
-            customEvict: this.customEvict || undefined
-        });
+    _unlinkTag(key, tag) {
+        const generation = this._tagLinks.get(key)?.get(tag);
+        const dead = this._deadLinks.get(tag);
+        if (dead && generation !== undefined && generation < (this._tagGenerations.get(tag) || 0)) {
+            if (dead > 1) this._deadLinks.set(tag, dead - 1);
+            else this._deadLinks.delete(tag);
+        }
+
+        const keys = this.tagMap.get(tag);
+        keys?.delete(key);
+        if (keys?.size === 0) {
+            this.tagMap.delete(tag);
+            this._tagTrie.remove(tag);
+            this._tagGenerations.delete(tag); // no links are left to compare against
+        }
+        this.keyTags.get(key)?.delete(tag);
+        this._tagLinks.get(key)?.delete(tag);
     }
 
     /**
-     * Creates a deep clone of the entire cache.
-     * @returns {AlisaCache}
-     * @example
-     * const backup = cache.clone();
+     * Invalidates a tag once the deadline set by `expireTag()` has passed.
+     * @param {string} tag
+     * @returns {void}
+     * @private
      */
-    clone() {
-        const snapshot = this.snapshot();
-        const clone = this._deepClone();
+    _settleTagDeadline(tag) {
+        const deadline = this._tagDeadlines.get(tag);
+        if (deadline === undefined || !(this.clock.now() > deadline)) return;
 
-        clone.loadSnapshot(
-            JSON.parse(JSON.stringify(snapshot)) // Deep clone the snapshot
-        );
-        return clone;
+        this._tagDeadlines.delete(tag);
+        if (this.tagMap.has(tag)) this.invalidateTag(tag);
     }
 
     /**
-     * Returns advanced statistics including tag usage and TTL distributions.
-     * @returns {{
-     *   totalKeys: number,
-     *   totalTags: number,
-     *   mostUsedTags: string[],
-     *   ttlEnabled: number,
-     *   tagUsage: Record<string, number>
-     * }}
+     * Expires the unprotected entries of an invalidated tag that were linked under an older generation.
+     * @param {string} tag
+     * @returns {number} - Number of removed entries
+     * @private
      */
-    statsExtended() {
-        /** @type {Record<string, number>} */
-        const tagUsage = {};
-        for (const [tag, keys] of this.tagMap.entries()) {
-            tagUsage[tag] = keys.size;
-        }
+    _purgeTag(tag) {
+        if (!this._deadLinks.has(tag)) return 0;
 
-        return {
-            totalKeys: this.store.size,
-            totalTags: this.tagMap.size,
-            mostUsedTags: Object.entries(tagUsage).sort((a, b) => b[1] - a[1]).map(([tag]) => tag),
-            ttlEnabled: this.ttlMap.size,
-            tagUsage
-        };
+        const generation = this._tagGenerations.get(tag) || 0;
+        const dead = [...(this.tagMap.get(tag) || [])].filter(key =>
+            !this.protectedKeys.has(key) && (this._tagLinks.get(key)?.get(tag) ?? generation) < generation
+        );
+        for (const key of dead) this._expireKey(key);
+        return dead.length;
     }
 
     /**
-     * Returns estimated memory usage and active TTL data.
-     * @returns {{
-     *   keyCount: number,
-     *   avgValueSize: number,
-     *   ttlCount: number,
-     *   activeTTLKeys: string[]
-     * }}
+     * Whether a tag still has an entry that was not invalidated through it.
+     * @param {string} tag
+     * @returns {boolean}
+     * @private
      */
-    metrics() {
-        const values = [...this.store.values()];
-        const keyCount = this.store.size;
-        const jsonSizes = values.map(v => JSON.stringify(v)?.length || 0);
-        const totalSize = jsonSizes.reduce((a, b) => a + b, 0);
-        const avgValueSize = keyCount ? totalSize / keyCount : 0;
-
-        const activeTTLKeys = [...this.ttlMap.keys()].filter(k => this.ttlExpire(k) > 0);
-        const ttlCount = activeTTLKeys.length;
+    _isTagLive(tag) {
+        this._settleTagDeadline(tag);
+        return (this.tagMap.get(tag)?.size || 0) > (this._deadLinks.get(tag) || 0);
+    }
 
-        return {
-            keyCount,
-            avgValueSize,
-            ttlCount,
-            activeTTLKeys
-        };
+    /**
+     * Whether a tag is used as a wildcard pattern. A tag that exists as written (like a literal `"*"`) is always
+     * matched exactly, so existing tags never turn into wildcards.
+     * @param {string} tag
+     * @returns {boolean}
+     * @private
+     */
+    _isTagPattern(tag) {
+        return !this.tagMap.has(tag) && this._tagTrie.isPattern(tag);
     }
 
+    /**
+     * Returns the keys of a tag, or of every tag matching a wildcard pattern.
+     * @param {string} tag
+     * @returns {Set<any>}
+     * @private
+     */
+    _keysForTag(tag) {
+        if (!this._isTagPattern(tag)) return this.tagMap.get(tag) || new Set();
 
+        const keys = new Set();
+        for (const match of this._tagTrie.match(tag)) {
+            for (const key of this.tagMap.get(match) || []) keys.add(key);
+        }
+        return keys;
+    }
 
     /**
-     * Creates a serializable snapshot of the cache and all internal states.
-     * @returns {Object}
-     * @example
-     * const dump = cache.snapshot();
-     * fs.writeFileSync("./cache.json", JSON.stringify(dump, null, 2));
+     * Turns a tag query object or expression into a tree.
+     * @param {string | { all?: string[], any?: string[], none?: string[] }} query
+     * @returns {TagNode}
+     * @private
      */
-    snapshot() {
-        return {
-            data: [...this.store.entries()],
-            meta: [...this.meta.entries()],
-            ttlMap: [...this.ttlMap.entries()],
-            tagMap: [...this.tagMap.entries()].map(([tag, keys]) => [tag, [...keys]]),
-            keyTags: [...this.keyTags.entries()].map(([key, tags]) => [key, [...tags]]),
-            stats: {
-                hits: this.hits,
-                misses: this.misses,
-                evictions: this.evictions
-            }
-        };
+    _parseTagQuery(query) {
+        if (typeof query === "string") return parseTagExpression(query);
+        if (!query || typeof query !== "object") throw new CacheError("Tag query must be a string or an object with `all`, `any` and/or `none`.");
+
+        const { all = [], any = [], none = [] } = query;
+        if (![all, any, none].every(Array.isArray)) throw new CacheError("`all`, `any` and `none` must be arrays of tags.");
+
+        // An empty `any` is a term that no key satisfies, while a query without any term is a mistake
+        const hasAny = query.any !== undefined;
+        if (!all.length && !hasAny && !none.length) throw new CacheError("Tag query must have at least one tag in `all`, `any` or `none`.");
+
+        /** @type {TagNode[]} */
+        const nodes = all.map(name => ({ type: "tag", name: String(name) }));
+        if (hasAny) nodes.push({ type: "or", nodes: any.map(name => ({ type: "tag", name: String(name) })) });
+        for (const name of none) nodes.push({ type: "not", node: { type: "tag", name: String(name) } });
+        return { type: "and", nodes };
     }
 
-
     /**
-     * Loads a snapshot into the cache. Overwrites existing data.
-     * @param {Object} snapshot - The snapshot object to restore.
-     * @returns {this}
-     * @example
-     * const dump = JSON.parse(fs.readFileSync("./cache.json"));
-     * cache.loadSnapshot(dump);
+     * Returns the keys matching a tag query tree. Conjunctions start from their smallest set
+     * and only check membership in the others, negations are applied as filters.
+     * @param {TagNode} node
+     * @returns {Set<any>}
+     * @private
      */
-    loadSnapshot(snapshot) {
-        if (!snapshot || typeof snapshot !== "object") throw new CacheError("Invalid snapshot");
+    _evaluateTagQuery(node) {
+        switch (node.type) {
+            case "tag":
+                return this._keysForTag(node.name);
+
+            case "or": {
+                const keys = new Set();
+                for (const child of node.nodes) {
+                    for (const key of this._evaluateTagQuery(child)) keys.add(key);
+                }
+                return keys;
+            }
 
-        this.flush(); // clear existing data
+            case "not":
+                return this._evaluateTagQuery({ type: "and", nodes: [node] });
 
-        // Restore data from snapshot
-        for (const [k, v] of snapshot.data || []) this.store.set(k, v);
-        for (const [k, v] of snapshot.meta || []) this.meta.set(k, v);
-        for (const [k, v] of snapshot.ttlMap || []) this.ttlMap.set(k, v);
-        for (const [tag, keys] of snapshot.tagMap || []) this.tagMap.set(tag, new Set(keys));
-        for (const [key, tags] of snapshot.keyTags || []) this.keyTags.set(key, new Set(tags));
+            case "and": {
+                const included = node.nodes.filter(child => child.type !== "not").map(child => this._evaluateTagQuery(child));
+                const excluded = node.nodes.flatMap(child => child.type === "not" ? [this._evaluateTagQuery(child.node)] : []);
 
-        const { hits = 0, misses = 0, evictions = 0 } = snapshot.stats || {};
-        this.hits = hits;
-        this.misses = misses;
-        this.evictions = evictions;
+                included.sort((a, b) => a.size - b.size);
+                const [smallest = new Set(this.store.keys()), ...others] = included;
 
-        return this;
+                const keys = new Set();
+                for (const key of smallest) {
+                    if (others.every(set => set.has(key)) && !excluded.some(set => set.has(key))) keys.add(key);
+                }
+                return keys;
+            }
+        }
     }
 
     /**
-     * Converts the cache to a plain JSON-safe object.
-     * @returns {Object}
+     * Returns the weight of an entry, or 0 when sizes are not tracked.
+     * @param {any} key
+     * @param {any} value
+     * @param {number} [size] - Explicit weight given to `set()`
+     * @returns {number}
+     * @private
      */
-    toJSON() {
-        return this.snapshot();
+    _calculateSize(key, value, size) {
+        if (size === undefined) {
+            if (!this.sizeCalculation) return 0;
+            size = this.sizeCalculation(value, key);
+        }
+
+        if (typeof size !== "number" || !Number.isFinite(size) || size < 0) {
+            throw new CacheError(`Size of key "${String(key)}" must be a non-negative number, got ${String(size)}.`);
+        }
+        return size;
     }
 
     /**
-     * Loads data from a JSON-safe snapshot object.
-     * @param {Object} json
-     * @returns {this}
-     * @example
-     * cache.fromJSON(JSON.parse(jsonString));
+     * Stores the weight of an entry and keeps `totalSize` in sync. A size of 0 removes the record.
+     * @param {any} key
+     * @param {number} size
+     * @returns {void}
+     * @private
      */
-    fromJSON(json) {
-        return this.loadSnapshot(json);
+    _setSize(key, size) {
+        this.totalSize += size - (this.sizeMap.get(key) || 0);
+        if (size) this.sizeMap.set(key, size);
+        else this.sizeMap.delete(key);
     }
 
     /**
-     * Saves the cache to a file in JSON format.
-     * @param {string} path - The file path to save the cache.
-     * @returns {Promise<void>}
-     * @example
-     * await cache.saveToFile("./cache.json");
-     * fs.writeFileSync("./cache.json", JSON.stringify(cache.toJSON(), null, 2));
+     * Rebuilds the eviction index from the stored access timestamps (e.g. after loading a snapshot).
+     * @returns {void}
+     * @private
      */
-    async saveToFile(path) {
-        if (typeof path !== "string" || !path.length) {
-            throw new CacheError("File path must be a non-empty string.");
-        }
+    _rebuildEvictionIndex() {
+        this._evictionIndex.clear();
 
-        const json = JSON.stringify(this.toJSON(), null, 2);
-        await promises.writeFile(path, json, "utf-8");
+        const keys = [...this.store.keys()].sort((a, b) => (this.meta.get(a) || 0) - (this.meta.get(b) || 0));
+        for (const key of keys) {
+            this._evictionIndex.touch(key, this.priorityMap.get(key) || 0);
+        }
     }
+    // #endregion
 
+    // #region Static Methods
     /**
-    * Loads cache data from a JSON file.
-    * @param {string} path - The file path to load the cache from.
-    * @returns {Promise<AlisaCache>} - The loaded cache instance.
-    * @example
-    * const cache = await AlisaCache.loadFromFile("./cache.json");
-    */
-    async loadFromFile(path) {
-        const data = await promises.readFile(path, "utf-8");
-        const json = JSON.parse(data);
-        return this.fromJSON(json);
+     * Roughly estimates how many bytes a value occupies in memory.
+     * This is the default `sizeCalculation` when `maxSize` is set.
+     * @param {any} value
+     * @returns {number}
+     * @example
+     * AlisaCache.estimateSize("hello"); // 10
+     * AlisaCache.estimateSize(Buffer.alloc(64)); // 64
+     */
+    static estimateSize(value) {
+        return estimateSize(value);
     }
 
-    // #endregion
+    /**
+     * Creates a clock that only moves when `advance(ms)` is called, for testing TTLs,
+     * `autoPrune` and `preciseExpiry` without waiting for real time.
+     * @param {number} [start=Date.now()] - Initial time in milliseconds
+     * @returns {ManualClock}
+     * @example
+     * const clock = AlisaCache.createManualClock();
+     * const cache = new AlisaCache({ clock });
+     * cache.set("a", 1, { ttl: 1000 });
+     * clock.advance(1001);
+     * cache.get("a"); // undefined
+     */
+    static createManualClock(start) {
+        return new ManualClock(start);
+    }
 
-    // #region Eviction Strategies
     /**
-     * Execute eviction based on selected strategy.
-     * @returns {boolean}
-     * @private
+     * Memoizes a sync or async function. Calls with equal arguments (compared by a stable serialization
+     * of objects, arrays, Maps, Sets and Dates) share one cached result, and concurrent async calls share one promise.
+     * Rejected promises are not cached. A shared `cache` needs a `namespace` that prefixes every key, so functions
+     * sharing a cache never read each other's results and keys stay the same across processes and snapshots.
+     * @param {Function} fn - Function to memoize
+     * @param {Object} [options={}]
+     * @param {AlisaCache} [options.cache] - Cache to store results in. Defaults to a new cache.
+     * @param {string} [options.namespace] - Key prefix of this function, required with a shared `cache`
+     * @param {(...args: any[]) => any} [options.keyResolver] - Derives the key from the arguments, serialized with the same stable serialization
+     * @param {number} [options.ttl] - Time to live of the results in milliseconds
+     * @param {string[]} [options.tags] - Tags added to the results
+     * @returns {Function & { cache: AlisaCache, clear: () => void, delete: (...args: any[]) => boolean }}
+     * @example
+     * const getUser = AlisaCache.memoize(async (id, opts) => db.users.find(id, opts), { cache, namespace: "users", ttl: 60000 });
+     * await getUser(1, { fields: ["name"] });
+     * getUser.delete(1, { fields: ["name"] });
      */
-    evict() {
-        if (this.customEvict && typeof this.customEvict === "function") {
-            const key = this.customEvict(this.store, this.meta);
-            if (this.store.has(key)) {
-                this.delete(key);
-                this.evictions++;
-                this.emit("evict", { key });
-                return true;
-            }
-            return false;
+    static memoize(fn, options = {}) {
+        if (typeof fn !== "function") throw new CacheError("`fn` must be a function.");
+
+        const {
+            cache = new AlisaCache(),
+            namespace,
+            keyResolver = (/** @type {any[]} */ ...args) => args,
+            ttl,
+            tags
+        } = options;
+
+        if (!(cache instanceof AlisaCache)) throw new CacheError("`cache` must be an AlisaCache instance.");
+        if (typeof keyResolver !== "function") throw new CacheError("`keyResolver` must be a function.");
+        if (namespace !== undefined && (typeof namespace !== "string" || !namespace.length)) {
+            throw new CacheError("`namespace` must be a non-empty string.");
         }
 
-        const entries = [...this.store.entries()];
-        if (!entries.length) return false;
+        const ownCache = !options.cache; // a shared cache is only cleared of this function's keys
+        if (!ownCache && namespace === undefined) throw new CacheError("`namespace` is required when memoizing into a shared `cache`.");
+        const prefix = namespace === undefined ? "" : `${namespace}:`;
+        /** @type {Map<any, Promise<any>>} */
+        const pending = new Map();
+        let isAsync = fn.constructor.name === "AsyncFunction";
+
+        /**
+         * @param {any[]} args
+         * @returns {string}
+         */
+        const keyOf = args => prefix + stableKey(keyResolver(...args));
 
-        entries.sort(([aKey, aVal], [bKey, bVal]) => {
-            // If the the key is protected, it should be sorted to the end
-            if (this.protectedKeys.has(aKey)) return 1;
-            if (this.protectedKeys.has(bKey)) return -1;
+        /** @type {any} */
+        const memoized = function (/** @type {any[]} */ ...args) {
+            const key = keyOf(args);
 
-            // Primary sort by priority
-            const aPrio = this.priorityMap.get(aKey) || 0;
-            const bPrio = this.priorityMap.get(bKey) || 0;
-            if (aPrio !== bPrio) return aPrio - bPrio;
+            const inflight = pending.get(key);
+            if (inflight) return inflight;
 
-            // Secondary sort by strategy
-            const aTime = this.meta.get(aKey) || 0;
-            const bTime = this.meta.get(bKey) || 0;
-            switch (this.strategy) {
-                case "LRU":
-                case "FIFO":
-                    return aTime - bTime; // LRU and FIFO sort by last access time
+            const cached = cache.get(key);
+            if (cached !== undefined || cache._isLive(key)) return isAsync ? Promise.resolve(cached) : cached;
 
-                case "LIFO":
-                case "MFU":
-                    return bTime - aTime; // LIFO and MFU sort by last access time in reverse
+            const result = fn.apply(this, args);
+            if (!result || typeof result.then !== "function") {
+                cache.set(key, result, { ttl, tags });
+                return result;
+            }
 
-                case "RANDOM":
-                    return Math.random() - Math.random(); // Randomly sort
+            isAsync = true;
+            /** @type {Promise<any>} */
+            const promise = Promise.resolve(result).then(
+                value => {
+                    if (pending.get(key) !== promise) return value; // cleared while loading
+                    pending.delete(key);
+                    cache.set(key, value, { ttl, tags });
+                    return value;
+                },
+                error => {
+                    if (pending.get(key) === promise) pending.delete(key);
+                    throw error;
+                }
+            );
+            pending.set(key, promise);
+            return promise;
+        };
 
-                default:
-                    return 0; // Default to no sorting
+        memoized.cache = cache;
+        memoized.clear = () => {
+            pending.clear();
+            if (ownCache) cache.flush();
+            else for (const key of cache.keys()) {
+                if (typeof key === "string" && key.startsWith(prefix)) cache.delete(key);
             }
-        });
+        };
+        memoized.delete = (/** @type {any[]} */ ...args) => {
+            const key = keyOf(args);
+            pending.delete(key);
+            return cache.delete(key);
+        };
 
-        const [evictKey] = entries[0];
-        if (this.protectedKeys.has(evictKey)) return false;
-        this.delete(evictKey);
-        this.evictions++;
-        this.emit("evict", { key: evictKey });
-        return true;
+        return memoized;
+    }
+
+    /**
+     * Registers a named eviction strategy that can then be used with the `strategy` option.
+     * Pass a factory to give every cache instance (including namespaces and clones) its own state.
+     * @param {string} name - Strategy name
+     * @param {EvictionStrategy | (() => EvictionStrategy)} definition - Strategy object or factory
+     * @returns {void}
+     * @example
+     * AlisaCache.registerStrategy("BIGGEST", () => ({
+     *     selectVictim(ctx) {
+     *         let victim;
+     *         for (const entry of ctx.entries()) {
+     *             if (!entry.protected && (!victim || entry.size > victim.size)) victim = entry;
+     *         }
+     *         return victim?.key;
+     *     }
+     * }));
+     * const cache = new AlisaCache({ strategy: "BIGGEST", maxSize: 1024 });
+     */
+    static registerStrategy(name, definition) {
+        if (typeof name !== "string" || !name.length) {
+            throw new CacheError("Strategy name must be a non-empty string.");
+        }
+
+        if (validStrategies.includes(name)) {
+            throw new CacheError(`Strategy "${name}" is built-in and cannot be replaced.`);
+        }
+
+        if (typeof definition !== "function" && (!definition || typeof definition.selectVictim !== "function")) {
+            throw new CacheError("Strategy must be a factory function or an object implementing `selectVictim(context)`.");
+        }
+
+        registeredStrategies.set(name, definition);
     }
     // #endregion
 
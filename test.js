@@ -17,6 +17,29 @@ assert.ok(cache.ttlExpire("temp") > 0);
 cache.expire("temp");
 assert.strictEqual(cache.get("temp"), undefined);
 
+// SLIDING TTL / TOUCH / PERSIST / EXPIRE AT
+cache.set("session", "s", { ttl: 1000, sliding: true });
+cache.expireAt("session", Date.now() + 50);
+assert.ok(cache.ttlExpire("session") <= 50);
+assert.strictEqual(cache.touch("session", 5000), true);
+assert.ok(cache.ttlExpire("session") > 1000);
+const slideClock = AlisaCache.createManualClock();
+const sliding = new AlisaCache({ clock: slideClock });
+sliding.set("slide", "s", { ttl: 1000, sliding: true });
+slideClock.advance(990); // most of the window passed
+sliding.get("slide");
+assert.strictEqual(sliding.ttlExpire("slide"), 1000);
+sliding.rename("slide", "slid");
+const slidingCopy = new AlisaCache({ clock: slideClock }).loadSnapshot(sliding.snapshot());
+slideClock.advance(990);
+slidingCopy.get("slid");
+assert.strictEqual(slidingCopy.ttlExpire("slid"), 1000); // still sliding after a snapshot
+assert.strictEqual(sliding.persist("slid"), true);
+assert.strictEqual(sliding.ttlExpire("slid"), -1);
+assert.strictEqual(sliding.persist("slid"), false);
+assert.strictEqual(sliding.touch("missing"), false);
+cache.delete("session");
+
 // TAG SYSTEM
 cache.set("a", 1, { tags: ["even"] });
 cache.set("b", 2, { tags: ["even"] });
@@ -64,6 +87,586 @@ assert.strictEqual(typeof metrics.keyCount, "number");
 const stats = cache.statsExtended();
 assert.strictEqual(typeof stats.totalTags, "number");
 
+// LFU / MFU FREQUENCY
+const lfu = new AlisaCache({ limit: 3, strategy: "LFU" });
+lfu.set("hot", 1).set("warm", 2).set("cold", 3);
+lfu.get("hot"); lfu.get("hot"); lfu.get("warm");
+lfu.set("new", 4);
+assert.strictEqual(lfu.has("cold"), false);
+assert.strictEqual(lfu.stats().frequency.max, 2);
+assert.strictEqual(lfu.statsExtended().frequencyDistribution["2-3"], 1);
+lfu.rename("hot", "hotter");
+assert.strictEqual(new AlisaCache().loadSnapshot(lfu.snapshot()).stats().frequency.max, 2);
+
+const mfu = new AlisaCache({ limit: 2, strategy: "MFU" });
+mfu.set("a", 1).set("b", 2);
+mfu.get("a");
+mfu.set("c", 3);
+assert.strictEqual(mfu.has("a"), false);
+
+const aging = new AlisaCache({ limit: 2, strategy: "LFU", decayInterval: 4, frequencyDecay: 0.5 });
+aging.set("old", 1);
+aging.get("old"); aging.get("old"); aging.get("old");
+aging.set("fresh", 2);
+aging.get("fresh"); // 4th hit triggers aging: old 3 -> 1, fresh 1 -> 0
+assert.strictEqual(aging.stats().frequency.total, 1);
+
+// EVICTION ORDER (priority buckets, protected keys, LIFO)
+const ordered = new AlisaCache({ limit: 3, updateOnGet: true });
+ordered.set("p1", 1, { priority: 1 }).set("p0", 2).set("keep", 3);
+ordered.protect("keep");
+ordered.get("p0");
+ordered.set("n1", 4); // "p0" is in the lowest priority bucket, "keep" is protected
+assert.deepStrictEqual(ordered.keys().sort(), ["keep", "n1", "p1"]);
+ordered.set("n2", 5);
+assert.strictEqual(ordered.has("n1"), false);
+
+const lifo = new AlisaCache({ limit: 2, strategy: "LIFO" });
+lifo.set("first", 1).set("second", 2).set("third", 3);
+assert.deepStrictEqual(lifo.keys(), ["first", "third"]);
+
+// SIZE-AWARE CAPACITY
+assert.strictEqual(AlisaCache.estimateSize("abc"), 6);
+assert.strictEqual(AlisaCache.estimateSize(new Uint8Array(16)), 16);
+assert.strictEqual(AlisaCache.estimateSize({ ab: "cd" }), 8);
+const sized = new AlisaCache({ maxSize: 100 });
+sized.set("a", "x".repeat(20)).set("b", "x".repeat(20)); // 40 bytes each
+sized.set("c", "x".repeat(20));
+assert.strictEqual(sized.has("a"), false);
+assert.strictEqual(sized.stats().totalSize, 80);
+assert.throws(() => sized.set("huge", "x".repeat(60)), /exceeds `maxSize`/);
+const weighted = new AlisaCache({ maxSize: 10, sizeCalculation: v => v.weight });
+weighted.set("a", { weight: 6 }).set("b", { weight: 4 }).set("c", { weight: 5 });
+assert.deepStrictEqual(weighted.keys(), ["b", "c"]);
+assert.strictEqual(weighted.stats().maxSize, 10);
+const heavy = new AlisaCache({ maxSize: 10, sizeCalculation: v => v.weight });
+heavy.set("a", { weight: 6 }).protect("a");
+assert.throws(() => heavy.set("b", { weight: 6 }), /`maxSize` \(10\)/); // only a protected entry could make room
+assert.deepStrictEqual([heavy.keys(), heavy.stats().totalSize], [["a"], 6]);
+
+// ADMISSION POLICIES (scan resistance)
+for (const strategy of ["ARC", "2Q", "TINYLFU"]) {
+  const scanned = new AlisaCache({ limit: 10, strategy });
+  for (let i = 0; i < 5; i++) scanned.set(`hot${i}`, i);
+  for (let round = 0; round < 3; round++) for (let i = 0; i < 5; i++) scanned.get(`hot${i}`);
+  for (let i = 0; i < 50; i++) scanned.set(`scan${i}`, i);
+  assert.strictEqual(scanned.keys().filter(k => k.startsWith("hot")).length, 5, strategy);
+  assert.strictEqual(scanned.size(), 10);
+}
+const probed = new AlisaCache({ limit: 100, strategy: "TINYLFU" }).set("a", 1).set("b", 2); // "a" graduated to main
+for (let i = 0; i < 3; i++) probed.get("b");
+const tinyLfu = probed._evictionIndex.buckets.get(0);
+assert.strictEqual(probed._evictionIndex.victim(() => false).key, "a");
+assert.deepStrictEqual([tinyLfu.window.nodes.has("b"), tinyLfu.main.nodes.has("b")], [true, false]); // probing moves nothing
+probed.evict();
+assert.deepStrictEqual([probed.keys(), tinyLfu.main.nodes.has("b")], [["b"], true]); // admitted once "a" is evicted
+
+// EVICTION SCOPE / EXPIRED FIRST
+const volatile = new AlisaCache({ limit: 3, evictionScope: "volatile" });
+volatile.set("persistent", 1).set("short", 2, { ttl: 60000 }).set("long", 3, { ttl: 120000 });
+volatile.set("extra", 4);
+assert.deepStrictEqual(volatile.keys(), ["persistent", "long", "extra"]);
+
+const volatileTTL = new AlisaCache({ limit: 3, evictionScope: "volatile-ttl" });
+volatileTTL.set("long", 1, { ttl: 120000 }).set("short", 2, { ttl: 60000 }).set("plain", 3);
+volatileTTL.set("extra", 4);
+assert.deepStrictEqual(volatileTTL.keys(), ["long", "plain", "extra"]);
+const noTTL = new AlisaCache({ limit: 2, evictionScope: "volatile" }).set("a", 1).set("b", 2);
+assert.throws(() => noTTL.set("c", 3), /evictionScope/); // keys without a TTL are never victims
+assert.deepStrictEqual([noTTL.keys(), noTTL.priorityMap.has("c")], [["a", "b"], false]);
+
+const expiredFirst = new AlisaCache({ limit: 3 });
+expiredFirst.set("oldest", 1).set("stale", 2, { ttl: 60000 }).set("fresh", 3);
+expiredFirst.expire("stale");
+let expiredEvictions = 0;
+expiredFirst.on("evict", () => expiredEvictions++);
+expiredFirst.set("extra", 4);
+assert.deepStrictEqual(expiredFirst.keys(), ["oldest", "fresh", "extra"]);
+assert.strictEqual(expiredEvictions, 0);
+assert.throws(() => new AlisaCache({ evictionScope: "some" }), /Invalid evictionScope/);
+
+// PLUGGABLE STRATEGIES
+const strategyCalls = [];
+AlisaCache.registerStrategy("OLDEST_PAIR", () => {
+  const order = [];
+  return {
+    onInsert: key => { strategyCalls.push("insert"); order.push(key); },
+    onAccess: () => strategyCalls.push("access"),
+    onDelete: key => order.splice(order.indexOf(key), 1),
+    selectVictim: ctx => order.slice(0, 2).concat(order.find(k => ctx.isProtected(k)))
+  };
+});
+const pluggable = new AlisaCache({ limit: 4, strategy: "OLDEST_PAIR" });
+pluggable.set("guard", 0).protect("guard");
+pluggable.set("a", 1).set("b", 2).set("c", 3);
+pluggable.get("a");
+pluggable.set("d", 4); // selects "guard" (protected, ignored) and "a"
+assert.deepStrictEqual(pluggable.keys(), ["guard", "b", "c", "d"]);
+assert.ok(strategyCalls.includes("access"));
+assert.strictEqual(pluggable.namespace("ns").strategy, "OLDEST_PAIR");
+assert.strictEqual(pluggable.clone().size(), 4);
+assert.throws(() => AlisaCache.registerStrategy("LRU", { selectVictim: () => undefined }), /built-in/);
+
+const legacy = new AlisaCache({ limit: 1, strategy: "CUSTOM", customEvict: () => "locked" });
+legacy.set("locked", 1).protect("locked");
+assert.throws(() => legacy.set("other", 2), /limit/); // the protected key is kept, the write is rejected
+assert.deepStrictEqual([legacy.evictions, legacy.keys()], [0, ["locked"]]);
+
+// WATERMARK BATCH EVICTION
+const batched = new AlisaCache({ limit: 10, highWatermark: 1, lowWatermark: 0.5 });
+const batches = [];
+let batchedEvictions = 0;
+batched.on("evictBatch", ({ keys }) => batches.push(keys));
+batched.on("evict", () => batchedEvictions++);
+for (let i = 0; i < 11; i++) batched.set(`k${i}`, i);
+assert.strictEqual(batched.size(), 5);
+assert.deepStrictEqual(batches, [["k0", "k1", "k2", "k3", "k4", "k5"]]);
+assert.strictEqual(batchedEvictions, 6);
+for (let i = 11; i < 16; i++) batched.set(`k${i}`, i);
+assert.strictEqual(batches.length, 1);
+
+// SHARED NAMESPACE BUDGET
+const sharedRoot = new AlisaCache({ limit: 10, namespaceMode: "shared" });
+const nsA = sharedRoot.namespace("a", { reserve: 0.3 });
+const nsB = sharedRoot.namespace("b", { limit: 6 });
+for (let i = 0; i < 3; i++) nsA.set(`a${i}`, i);
+for (let i = 0; i < 8; i++) nsB.set(`b${i}`, i); // own quota of 6 plus the shared budget of 10
+assert.strictEqual(nsB.size(), 6);
+assert.strictEqual(sharedRoot.namespaceUsage().count, 9);
+sharedRoot.set("root1", 1).set("root2", 2);
+assert.strictEqual(sharedRoot.namespaceUsage().count, 10);
+assert.strictEqual(nsA.size(), 3); // "a" stays at its reservation, "b" has the largest surplus
+assert.strictEqual(nsB.size(), 5);
+assert.throws(() => sharedRoot.namespace("c", { reserve: 0.8 }), /reservations/);
+
+// EXPIRY INDEX / EXPIRE EVENT
+const expiryClock = AlisaCache.createManualClock();
+const expiring = new AlisaCache({ clock: expiryClock });
+const expired = [];
+expiring.on("expire", ({ key, value, tags }) => expired.push([key, value, tags]));
+expiring.set("gone", "old", { ttl: 500, tags: ["t"] }).set("kept", 1, { ttl: 1000 });
+expiryClock.advance(501);
+assert.strictEqual(expiring.prune(), 1);
+assert.deepStrictEqual(expired, [["gone", "old", ["t"]]]);
+expiryClock.advance(500);
+assert.strictEqual(expiring.get("kept"), undefined);
+assert.strictEqual(expired.length, 2);
+expiring.set("locked", 1, { ttl: 100 }).protect("locked");
+expiryClock.advance(101);
+assert.deepStrictEqual([expiring.get("locked"), expiring.has("locked")], [undefined, false]);
+assert.deepStrictEqual([expired.length, expiring.size()], [2, 1]); // a protected entry stays and does not fire "expire"
+const precise = new AlisaCache({ clock: expiryClock, preciseExpiry: true });
+precise.set("p", 1, { ttl: 50 });
+expiryClock.advance(51);
+assert.strictEqual(precise.size(), 0); // removed by the timer, not by a read
+
+// STALE-WHILE-REVALIDATE / STALE-IF-ERROR
+let refreshFails = true;
+const swrClock = AlisaCache.createManualClock();
+const swr = new AlisaCache({
+  clock: swrClock,
+  staleTTL: 1000,
+  loader: async key => {
+    if (refreshFails) throw new Error("backend down");
+    return `${key}:fresh`;
+  }
+});
+const refreshEvents = [];
+swr.on("refresh", ({ value }) => refreshEvents.push(value));
+swr.on("refreshError", ({ key }) => refreshEvents.push(`error:${key}`));
+swr.set("page", "old", { ttl: 1000 });
+swrClock.advance(1001); // TTL passed, still inside the stale window
+assert.strictEqual(swr.get("page"), "old");
+assert.strictEqual(swr.getMeta("page").stale, true);
+setImmediate(() => {
+  assert.deepStrictEqual(refreshEvents, ["error:page"]);
+  refreshFails = false;
+  assert.strictEqual(swr.get("page"), "old"); // stale-if-error keeps serving
+  setImmediate(() => {
+    assert.strictEqual(swr.get("page"), "page:fresh");
+    assert.strictEqual(swr.getMeta("page").stale, false);
+    assert.ok(swr.ttlExpire("page") > 900);
+  });
+});
+const fixedClock = AlisaCache.createManualClock();
+const fixed = new AlisaCache({ clock: fixedClock, overWrite: false, staleTTL: 1000, loader: () => "new" });
+fixed.set("page", "old", { ttl: 1000 });
+fixedClock.advance(1001);
+fixed.get("page");
+setImmediate(() => {
+  assert.strictEqual(fixed.get("page"), "new"); // a refresh is not a second write of the key
+  assert.strictEqual(fixed.getMeta("page").stale, false);
+});
+const dropped = new AlisaCache({ staleTTL: 1000 }).set("doc", "v1", { ttl: 1000 });
+dropped.expire("doc");
+assert.strictEqual(dropped.get("doc"), undefined); // no stale window after an explicit expire
+
+// INJECTABLE CLOCK
+const clock = AlisaCache.createManualClock();
+const timed = new AlisaCache({ clock, preciseExpiry: true });
+let autoPruned = 0;
+timed.on("autoPrune", () => autoPruned++);
+timed.set("short", 1, { ttl: 100 }).set("long", 2, { ttl: 1000 });
+timed.autoPrune(500);
+clock.advance(100);
+assert.strictEqual(timed.ttlExpire("short"), -1);
+assert.strictEqual(timed.size(), 2); // the deadline itself is still valid
+clock.advance(1);
+assert.strictEqual(timed.size(), 1); // removed by the precise expiry timer
+clock.advance(1000);
+assert.strictEqual(autoPruned, 2);
+assert.strictEqual(timed.size(), 0);
+timed.stopAutoPrune();
+assert.throws(() => new AlisaCache({ clock: { now: () => 0 } }), /clock/);
+
+// READ-THROUGH / SINGLE-FLIGHT
+const readThrough = new AlisaCache({ clock });
+let loads = 0;
+const slowLoad = key => new Promise(resolve => setTimeout(() => resolve(`${key}:${++loads}`), 10));
+Promise.all([readThrough.getOrSet("u", slowLoad), readThrough.getOrSet("u", slowLoad)]).then(async values => {
+  assert.deepStrictEqual(values, ["u:1", "u:1"]);
+  assert.strictEqual(await readThrough.getOrSet("u", slowLoad), "u:1");
+  const double = readThrough.wrap(n => n * 2, n => `double:${n}`);
+  assert.strictEqual(await double(21), 42);
+  assert.strictEqual(readThrough.get("double:21"), 42);
+  readThrough.set("[1]", "mine");
+  const [plusOne, minusOne] = [readThrough.wrap(n => n + 1, undefined, { namespace: "plus" }), readThrough.wrap(n => n - 1, undefined, { namespace: "minus" })];
+  assert.deepStrictEqual([await plusOne(1), await minusOne(1), readThrough.get("[1]"), readThrough.get("plus:[1]")], [2, 0, "mine", 2]);
+  assert.throws(() => readThrough.wrap(n => n), /namespace/);
+
+  let failures = 0;
+  const failing = () => { failures++; throw new Error("db down"); };
+  await assert.rejects(readThrough.getOrSet("bad", failing, { errorTTL: 100 }), /db down/);
+  await assert.rejects(readThrough.getOrSet("bad", failing, { errorTTL: 100 }), /db down/);
+  assert.strictEqual(failures, 1); // negative cache hit
+  clock.advance(101);
+  await assert.rejects(readThrough.getOrSet("bad", failing), /db down/);
+  assert.strictEqual(failures, 2);
+});
+
+// MULTI-KEY OPERATIONS
+const multi = new AlisaCache({ limit: 4, lowWatermark: 0.5 });
+const batchEvents = [];
+const multiBatches = [];
+multi.on("batch", ({ operation, results }) => batchEvents.push([operation, results]));
+multi.on("evictBatch", ({ keys }) => multiBatches.push(keys));
+multi.mset([["a", 1], ["b", 2], ["c", 3]]);
+assert.deepStrictEqual(multi.mset({ d: 4, e: 5 }, { tags: ["late"] }), [true, true]);
+assert.deepStrictEqual(multiBatches, [["a", "b", "c"]]); // one eviction pass for the whole batch
+assert.deepStrictEqual(multi.mget(["d", "e", "a"]), [4, 5, undefined]);
+assert.deepStrictEqual(multi.mhas(["d", "a"]), [true, false]);
+multi.protect("d");
+assert.deepStrictEqual(multi.mdelete(["d", "e"]), [false, false]); // all or nothing
+multi.unprotect("d");
+assert.deepStrictEqual(multi.mdelete(["d", "missing"]), [true, false]);
+assert.deepStrictEqual(batchEvents.map(([operation]) => operation), ["mset", "mset", "mget", "mhas", "mdelete", "mdelete"]);
+const rewrite = new AlisaCache({ limit: 3 }).set("a", 1).set("b", 2).set("c", 3);
+let protectedWhileEvicting;
+rewrite.on("evict", () => protectedWhileEvicting = rewrite.ifProtected("a"));
+rewrite.mset([["a", 10], ["d", 4]]); // "a" is part of the batch, so "b" makes room
+assert.deepStrictEqual([rewrite.keys().sort(), rewrite.evictions, protectedWhileEvicting], [["a", "c", "d"], 1, false]);
+const noOverwrite = new AlisaCache({ overWrite: false }).set("x", 1);
+assert.deepStrictEqual(noOverwrite.mset([["y", 2], ["x", 3]]), [false, false]);
+assert.strictEqual(noOverwrite.has("y"), false);
+assert.throws(() => multi.mset([[1, 1], [2, 2], [3, 3], [4, 4], [5, 5]]), /does not fit/);
+
+// TAG INVALIDATION / TAG TTL
+const generationClock = AlisaCache.createManualClock(0);
+const generations = new AlisaCache({ clock: generationClock });
+const invalidated = [];
+generations.on("invalidate", ({ tag, generation }) => invalidated.push([tag, generation]));
+generations.set("g1", 1, { tags: ["feed", "user:1"] });
+generations.set("g2", 2, { tags: ["feed"] });
+generations.set("g3", 3, { tags: ["user:2"] });
+assert.strictEqual(generations.invalidateTag("feed"), 1);
+assert.deepStrictEqual(invalidated, [["feed", 1]]);
+assert.strictEqual(generations.size(), 3); // nothing was walked yet
+assert.strictEqual(generations.get("g1"), undefined);
+assert.strictEqual(generations.has("g2"), false);
+generations.set("g4", 4, { tags: ["feed"] }); // tagged under the new generation
+assert.deepStrictEqual(generations.getByTag("feed"), [4]);
+generations.set("g5", 5, { tags: ["user:1"] });
+generations.set("g6", 6, { tags: ["user:1"] });
+generations.invalidateTag("user:*");
+assert.strictEqual(generations.prune(), 3); // g5, g6 and g3
+assert.deepStrictEqual(generations.keys(), ["g4"]);
+const crowded = new AlisaCache({ limit: 2 }).set("old", 1, { tags: ["t"] }).set("live", 2);
+crowded.invalidateTag("t");
+assert.deepStrictEqual([crowded.tags(), crowded.stats().tagCount], [[], 0]);
+crowded.set("new", 3); // the invalidated entry makes room before a live one is evicted
+assert.deepStrictEqual([crowded.keys().sort(), crowded.evictions], [["live", "new"], 0]);
+const pinned = new AlisaCache({ limit: 2 }).set("p", 1, { tags: ["t"] }).protect("p").set("q", 2, { tags: ["t"] });
+pinned.invalidateTag("t");
+pinned.set("r", 3); // "q" makes room, the protected "p" stays but still does not count as a live member
+assert.deepStrictEqual([pinned.keys().sort(), pinned.tags()], [["p", "r"], []]);
+generations.set("s1", "a", { tags: ["session"], ttl: 500 });
+generations.set("s2", "b", { tags: ["session"] });
+assert.strictEqual(generations.expireTag("session", 1000), 1);
+generationClock.advance(600);
+assert.strictEqual(generations.get("s1"), undefined); // its own TTL is shorter
+assert.strictEqual(generations.get("s2"), "b");
+generationClock.advance(500);
+assert.strictEqual(generations.get("s2"), undefined);
+generations.set("s3", "c", { tags: ["session"] }); // the deadline has passed, the tag starts over
+assert.strictEqual(generations.get("s3"), "c");
+assert.throws(() => generations.expireTag("session", 0), /positive number/);
+
+// RETAGGING
+const retag = new AlisaCache();
+const tagEvents = [];
+retag.on("tag", ({ key, tags }) => tagEvents.push(["+", key, ...tags]));
+retag.on("untag", ({ key, tags }) => tagEvents.push(["-", key, ...tags]));
+retag.set("r1", 1, { ttl: 60000, priority: 4, tags: ["trial"] });
+retag.set("r2", 2, { tags: ["vip"] });
+assert.strictEqual(retag.addTags("r1", ["users", "trial"]), true);
+assert.strictEqual(retag.removeTags("r1", ["trial"]), true);
+assert.deepStrictEqual(retag.getTags("r1"), ["users"]);
+assert.ok(retag.ttlExpire("r1") > 59000 && retag.getMeta("r1").priority === 4);
+retag.setTags("r2", ["users", "premium"]);
+assert.strictEqual(retag.renameTag("premium", "vip"), 1);
+assert.deepStrictEqual(retag.queryTags("users & vip"), ["r2"]);
+assert.deepStrictEqual(tagEvents, [["+", "r1", "users"], ["-", "r1", "trial"], ["-", "r2", "vip"], ["+", "r2", "users", "premium"], ["-", "r2", "premium"], ["+", "r2", "vip"]]);
+retag.set("r1", 10); // a new value brings its own tags
+assert.deepStrictEqual(retag.getByTag("users"), [2]);
+assert.deepStrictEqual(new AlisaCache().loadSnapshot(retag.snapshot()).getTags("r2"), ["users", "vip"]);
+assert.strictEqual(retag.addTags("missing", ["x"]), false);
+retag.transaction(tx => tx.removeTags("r2", ["vip"]) && tx.addTags("r2", ["staff"]));
+assert.deepStrictEqual(retag.getTags("r2"), ["users", "staff"]);
+
+// HIERARCHICAL / WILDCARD TAGS
+const guilds = new AlisaCache();
+guilds.set("m1", "hello", { tags: ["guild:1:channel:9"] });
+guilds.set("m2", "hi", { tags: ["guild:1:channel:10", "guild:1"] });
+guilds.set("m3", "hey", { tags: ["guild:2:channel:9"] });
+assert.deepStrictEqual(guilds.tags("guild:1:*").sort(), ["guild:1:channel:10", "guild:1:channel:9"]);
+assert.deepStrictEqual(guilds.tags("guild:*:channel:9").sort(), ["guild:1:channel:9", "guild:2:channel:9"]);
+assert.strictEqual(guilds.getByTag("guild:*").length, 3);
+assert.deepStrictEqual(guilds.queryTags("guild:*:channel:9 & !guild:2:*"), ["m1"]);
+assert.strictEqual(guilds.deleteByTag("guild:1:*"), 2);
+assert.deepStrictEqual(guilds.tags(), ["guild:2:channel:9"]);
+const starred = new AlisaCache().set("star", 1, { tags: ["*"] }).set("plain", 2, { tags: ["a"] });
+assert.strictEqual(starred.deleteByTag("*"), 1); // an existing "*" tag is not a wildcard
+assert.deepStrictEqual([starred.keys(), starred.getByTag("*")], [["plain"], [2]]);
+const slashed = new AlisaCache({ tagSeparator: "/" }).set("f", 1, { tags: ["docs/api/v1"] });
+assert.deepStrictEqual(slashed.getByTag("docs/*"), [1]);
+
+// BOOLEAN TAG QUERIES
+const members = new AlisaCache();
+members.set("u1", "ann", { tags: ["user", "premium"] });
+members.set("u2", "bob", { tags: ["user", "premium", "banned"] });
+members.set("u3", "cem", { tags: ["user", "trial"] });
+members.set("u4", "dan", { tags: ["user"] });
+assert.deepStrictEqual(members.queryTags({ all: ["user", "premium"], none: ["banned"] }), ["u1"]);
+assert.deepStrictEqual(members.getByTags("user & (premium | trial) & !banned"), ["ann", "cem"]);
+assert.deepStrictEqual(members.queryTags({ any: ["trial", "banned"] }).sort(), ["u2", "u3"]);
+assert.deepStrictEqual([members.queryTags({ any: [] }), members.queryTags({ all: ["user"], any: [] })], [[], []]);
+assert.throws(() => members.queryTags({}), /at least one tag/);
+assert.throws(() => members.countByTags({ all: [], none: [] }), /at least one tag/);
+assert.strictEqual(members.countByTags("!premium"), 2);
+assert.strictEqual(members.protectByTags("premium & !banned"), 1);
+assert.strictEqual(members.deleteByTags("user"), 3); // u1 is protected
+assert.throws(() => members.queryTags("user & (premium"), /Invalid tag expression/);
+
+// UPDATE / PATCH
+const profiles = new AlisaCache();
+const updates = [];
+profiles.on("update", ({ oldValue, newValue }) => updates.push([oldValue.visits, newValue.visits]));
+profiles.set("p1", { visits: 1, settings: { theme: "light", lang: "en" } }, { ttl: 60000, tags: ["profiles"], priority: 3 });
+profiles.protect("p1");
+profiles.get("p1");
+assert.strictEqual(profiles.update("p1", p => ({ ...p, visits: p.visits + 1 })).value.visits, 2);
+assert.deepStrictEqual(updates, [[1, 2]]);
+profiles.patch("p1", { settings: { theme: "dark" } }, { deep: true });
+assert.deepStrictEqual(profiles.get("p1").settings, { theme: "dark", lang: "en" });
+profiles.patch("p1", { settings: { lang: "tr" } });
+assert.deepStrictEqual(profiles.get("p1").settings, { lang: "tr" });
+const profileMeta = profiles.getMeta("p1");
+assert.deepStrictEqual([profileMeta.tags, profileMeta.priority, profileMeta.protected], [["profiles"], 3, true]);
+assert.ok(profileMeta.frequency >= 3 && profiles.ttlExpire("p1") > 59000);
+assert.deepStrictEqual(profiles.update("missing", v => v), { success: false, value: undefined, version: 0 });
+profiles.set("n", 1);
+assert.throws(() => profiles.patch("n", { a: 1 }), /not a hash/);
+
+// TYPED VALUES (COUNTERS, LISTS, SETS, HASHES)
+const typed = new AlisaCache();
+typed.set("visits", 10, { ttl: 60000, tags: ["stats"], priority: 2 });
+assert.strictEqual(typed.incr("visits"), 11);
+assert.strictEqual(typed.incrBy("visits", 5), 16);
+assert.strictEqual(typed.decr("visits"), 15);
+assert.ok(typed.ttlExpire("visits") > 59000);
+assert.deepStrictEqual(typed.getMeta("visits").tags, ["stats"]);
+assert.strictEqual(typed.getMeta("visits").priority, 2);
+assert.strictEqual(typed.rpush("jobs", "b", "c"), 2);
+assert.strictEqual(typed.lpush("jobs", "a"), 3);
+assert.deepStrictEqual(typed.lrange("jobs", 0, -1), ["a", "b", "c"]);
+assert.strictEqual(typed.lpop("jobs"), "a");
+assert.deepStrictEqual(typed.lrange("jobs", -1), ["c"]);
+assert.deepStrictEqual(typed.lrange("jobs", 0, -5), []); // stop before the first element
+assert.strictEqual(typed.sadd("online", "u1", "u2", "u1"), 2);
+assert.strictEqual(typed.srem("online", "u2", "u3"), 1);
+assert.strictEqual(typed.hset("user:1", { name: "Alice", age: 30 }), 2);
+assert.strictEqual(typed.hset("user:1", "age", 31), 0);
+assert.strictEqual(typed.hget("user:1", "age"), 31);
+typed.hset("scores", 1, "x");
+assert.deepStrictEqual([typed.hget("scores", 1), typed.hgetall("scores")], ["x", { 1: "x" }]);
+assert.throws(() => typed.incr("jobs"), /not a number/);
+assert.throws(() => typed.sadd("visits", 1), /not a set/);
+const typedCopy = new AlisaCache().fromJSON(JSON.parse(JSON.stringify(typed.toJSON())));
+assert.deepStrictEqual(typedCopy.smembers("online"), ["u1"]);
+assert.deepStrictEqual(typedCopy.hgetall("user:1"), { name: "Alice", age: 31 });
+assert.deepStrictEqual(typedCopy.lrange("jobs"), ["b", "c"]);
+const growing = new AlisaCache({ maxSize: 10, sizeCalculation: value => Array.isArray(value) ? value.length : 1 });
+growing.set("other", 1).rpush("queue", 1, 2, 3, 4, 5, 6, 7, 8, 9);
+let queueProtected;
+growing.on("evict", () => queueProtected = growing.ifProtected("queue"));
+growing.rpush("queue", 10); // the grown list evicts "other", never itself
+assert.deepStrictEqual([growing.keys(), queueProtected], [["queue"], false]);
+
+// VERSIONING / COMPARE-AND-SET
+const versioned = new AlisaCache();
+assert.deepStrictEqual(versioned.compareAndSet("counter", 0, 1), { success: true, version: 1 }); // create only
+const { version: v1 } = versioned.getMeta("counter");
+versioned.set("counter", 5); // concurrent writer
+const stale = versioned.compareAndSet("counter", v1, 2);
+assert.strictEqual(stale.success, false);
+assert.ok(stale.version > v1);
+assert.strictEqual(versioned.get("counter"), 5);
+assert.strictEqual(versioned.compareAndSet("counter", stale.version, 6).success, true);
+assert.strictEqual(versioned.setIf("counter", value => value > 10, 0).success, false);
+assert.strictEqual(versioned.setIf("counter", value => value === 6, 7).success, true);
+const restored = new AlisaCache().loadSnapshot(versioned.snapshot());
+assert.strictEqual(restored.getMeta("counter").version, versioned.getMeta("counter").version);
+assert.strictEqual(versioned.getMeta("missing"), undefined);
+
+// TRANSACTIONS
+const bank = new AlisaCache({ maxSize: 1000, sizeCalculation: value => (typeof value === "number" ? 1 : 2000) });
+bank.set("alice", 100, { tags: ["accounts"] }).set("bob", 50, { tags: ["accounts"] });
+let bankEvents = 0;
+bank.on("set", () => bankEvents++);
+bank.transaction(tx => {
+  tx.set("alice", tx.get("alice") - 30, { tags: ["accounts"] });
+  tx.set("bob", tx.get("bob") + 30, { tags: ["accounts"] });
+  assert.strictEqual(tx.get("bob"), 80); // reads see staged changes
+  assert.strictEqual(bank.get("bob"), 50); // the cache does not
+  assert.strictEqual(bankEvents, 0);
+});
+assert.deepStrictEqual(bank.mget(["alice", "bob"]), [70, 80]);
+assert.strictEqual(bankEvents, 2);
+assert.throws(() => bank.transaction(tx => {
+  tx.delete("alice");
+  throw new Error("changed my mind");
+}), /changed my mind/);
+assert.strictEqual(bank.get("alice"), 70);
+assert.throws(() => bank.transaction(tx => {
+  tx.delete("alice");
+  tx.rename("bob", "robert");
+  tx.set("big", "x"); // too large, fails while committing
+}), /exceeds/);
+assert.deepStrictEqual(bank.mget(["alice", "bob", "robert"]), [70, 80, undefined]);
+assert.deepStrictEqual(bank.getByTag("accounts"), [70, 80]);
+assert.strictEqual(bankEvents, 2);
+assert.throws(() => bank.transaction(tx => {
+  tx.watch("alice");
+  bank.set("alice", 0, { tags: ["accounts"] }); // concurrent write
+  tx.set("alice", 1);
+}), /watched key "alice"/);
+const nestedEvents = [];
+const nested = new AlisaCache({
+  maxSize: 10,
+  sizeCalculation: value => {
+    if (value === "outer") { // commits another transaction while the outer one is applied
+      nested.transaction(tx => tx.set("inner", 1));
+      assert.throws(() => nested.transaction(tx => tx.set("x", 1).set("huge", 99)), /exceeds/);
+    }
+    return typeof value === "number" ? value : 1;
+  }
+});
+nested.on("set", ({ key }) => nestedEvents.push(key));
+assert.throws(() => nested.transaction(tx => tx.set("n", "outer").set("m", 2).set("big", 50)), /exceeds/);
+assert.deepStrictEqual([nested.keys(), nestedEvents], [[], []]); // the inner commit is undone with the outer one
+nested.set("after", 1);
+assert.deepStrictEqual(nestedEvents, ["after"]);
+const idle = new AlisaCache().set("a", 1, { tags: ["t"] }).set("b", 2, { tags: ["t"] }).protect("b");
+idle.transaction(tx => {
+  assert.strictEqual(tx.get("a"), 1);
+  assert.strictEqual(tx.delete("missing"), false); // nothing to remove, no abort
+  assert.strictEqual(tx.delete("b"), false);
+  assert.strictEqual(tx.deleteByTag("t"), 1);
+});
+assert.deepStrictEqual([idle.keys(), idle.hits], [["b"], 0]); // reads inside the transaction are not counted
+bank.transaction(async tx => {
+  tx.watch("bob");
+  await null;
+  tx.deleteByTag("accounts");
+}).then(() => assert.strictEqual(bank.size(), 0));
+
+// BATCHED MULTI-KEY LOADING
+const batchedLoads = new AlisaCache();
+const requested = [];
+const loadUsers = async ids => {
+  requested.push(ids);
+  return ids.map(id => (id === 404 ? undefined : { id }));
+};
+batchedLoads.set(1, { id: 1, cached: true });
+Promise.all([
+  batchedLoads.getMany([1, 2, 3], loadUsers, { ttl: 1000 }),
+  batchedLoads.getMany([3, 4, 404], loadUsers)
+]).then(([first, second]) => {
+  assert.deepStrictEqual(requested, [[2, 3, 4, 404]]); // one call, no duplicates
+  assert.deepStrictEqual(first, [{ id: 1, cached: true }, { id: 2 }, { id: 3 }]);
+  assert.deepStrictEqual(second, [{ id: 3 }, { id: 4 }, undefined]);
+  assert.ok(batchedLoads.ttlExpire(2) > 0);
+  assert.strictEqual(batchedLoads.has(404), false);
+});
+const inlineBatches = [];
+Promise.all([7, 8].map(id => batchedLoads.getMany([id], ids => (inlineBatches.push(ids), ids), { batchKey: "ids" })))
+  .then(values => assert.deepStrictEqual([values, inlineBatches], [[[7], [8]], [[7, 8]]])); // inline loaders share a named batch
+
+// MEMOIZE
+let squareCalls = 0;
+const square = AlisaCache.memoize(({ n }) => (squareCalls++, n * n));
+assert.strictEqual(square({ n: 3, unit: "cm" }), 9);
+assert.strictEqual(square({ unit: "cm", n: 3 }), 9); // same key regardless of property order
+assert.strictEqual(squareCalls, 1);
+assert.strictEqual(square.delete({ n: 3, unit: "cm" }), true);
+square({ n: 3, unit: "cm" });
+assert.strictEqual(squareCalls, 2);
+square.clear();
+assert.strictEqual(square.cache.size(), 0);
+const sharedMemo = new AlisaCache().set("user", 1);
+const dbl = AlisaCache.memoize(n => n * 2, { cache: sharedMemo, namespace: "dbl" });
+const sq = AlisaCache.memoize(n => n * n, { cache: sharedMemo, namespace: "sq" });
+assert.deepStrictEqual([dbl(5), sq(5)], [10, 25]); // functions sharing a cache keep their own keys
+dbl.clear();
+assert.deepStrictEqual([sharedMemo.size(), sq(5)], [2, 25]);
+assert.strictEqual(sharedMemo.get('sq:[5]'), 25); // keys do not depend on creation order
+assert.throws(() => AlisaCache.memoize(n => n, { cache: sharedMemo }), /namespace/);
+const typeOf = AlisaCache.memoize(x => typeof x, { keyResolver: x => x });
+assert.deepStrictEqual([typeOf("1"), typeOf(1)], ["string", "number"]);
+let fetchCalls = 0;
+const fetchDay = AlisaCache.memoize(async date => (fetchCalls++, date.getUTCDate()), { cache: new AlisaCache(), namespace: "days", tags: ["days"] });
+Promise.all([fetchDay(new Date(Date.UTC(2024, 0, 5))), fetchDay(new Date(Date.UTC(2024, 0, 5)))]).then(async days => {
+  assert.deepStrictEqual(days, [5, 5]);
+  assert.strictEqual(await fetchDay(new Date(Date.UTC(2024, 0, 5))), 5);
+  assert.strictEqual(fetchCalls, 1);
+  assert.strictEqual(fetchDay.cache.getByTag("days").length, 1);
+});
+
+// REFRESH-AHEAD
+let version = 0;
+const aheadClock = AlisaCache.createManualClock();
+const ahead = new AlisaCache({ clock: aheadClock, refreshAhead: 0.8, loader: key => `${key}:v${++version}` });
+ahead.set("hot", "hot:v0", { ttl: 1000 });
+aheadClock.advance(500);
+ahead.get("hot"); // too early, nothing to do
+aheadClock.advance(350);
+assert.strictEqual(ahead.get("hot"), "hot:v0"); // still served while reloading
+setTimeout(() => {
+  assert.strictEqual(version, 1);
+  assert.strictEqual(ahead.get("hot"), "hot:v1");
+  assert.strictEqual(ahead.ttlExpire("hot"), 1000);
+}, 10);
+
 // EVENTS
 let getEventCount = 0;
 cache.on("get", ({ key }) => key && getEventCount++);